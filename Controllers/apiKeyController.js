@@ -0,0 +1,93 @@
+import ApiKeyModel from '../Models/ApiKeyModel.js';
+
+const apiKeyController = {
+  /**
+   * Create a new API key for the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createKey(req, res) {
+    try {
+      const { name, scopes } = req.body;
+
+      if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A name and at least one scope are required'
+        });
+      }
+
+      const key = await ApiKeyModel.createKey(req.user.id, { name: name.trim(), scopes });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Copy it now, it will not be shown again.',
+        data: key
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create API key',
+        error: process.env.NODE_ENV === 'development' ? error : undefined
+      });
+    }
+  },
+
+  /**
+   * List the current user's API keys
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getKeys(req, res) {
+    try {
+      const keys = await ApiKeyModel.getUserKeys(req.user.id);
+
+      res.json({
+        success: true,
+        data: keys,
+        count: keys.length
+      });
+    } catch (error) {
+      console.error('Get API keys error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve API keys',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Revoke one of the current user's API keys
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeKey(req, res) {
+    try {
+      const key = await ApiKeyModel.revokeKey(req.user.id, req.params.keyId);
+
+      if (!key) {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: key
+      });
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke API key',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+export default apiKeyController;
@@ -0,0 +1,96 @@
+import AuditLogModel from '../Models/AuditLogModel.js';
+
+// Upper bound on rows in a single export
+const EXPORT_MAX_ENTRIES = 10000;
+
+const auditLogController = {
+  /**
+   * Query the audit log
+   * Query: actorId, action, targetType, targetId, from, to, limit, cursor
+   */
+  async getLogs(req, res) {
+    try {
+      const { actorId, action, targetType, targetId, from, to, limit, cursor } = req.query;
+
+      const { entries, nextCursor } = await AuditLogModel.getLogs({
+        actorId,
+        action,
+        targetType,
+        targetId,
+        from,
+        to,
+        limit,
+        cursor
+      });
+
+      res.json({
+        success: true,
+        data: entries,
+        count: entries.length,
+        nextCursor
+      });
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+
+      if (error.code === 'invalid_cursor') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve audit logs',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Export the audit log as CSV or JSON, using the same filters as getLogs
+   * Query: format (csv|json) plus getLogs filters
+   */
+  async exportLogs(req, res) {
+    try {
+      const { format = 'csv', actorId, action, targetType, targetId, from, to } = req.query;
+
+      if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Format must be one of: csv, json'
+        });
+      }
+
+      // Page through the log until the filters are exhausted or the cap is hit
+      const entries = [];
+      let cursor;
+      do {
+        const page = await AuditLogModel.getLogs({ actorId, action, targetType, targetId, from, to, limit: 1000, cursor });
+        entries.push(...page.entries);
+        cursor = page.nextCursor;
+      } while (cursor && entries.length < EXPORT_MAX_ENTRIES);
+
+      const exported = entries.slice(0, EXPORT_MAX_ENTRIES);
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'json') {
+        return res.json(exported);
+      }
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.send(AuditLogModel.toCsv(exported));
+    } catch (error) {
+      console.error('Export audit logs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export audit logs',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+export default auditLogController;
@@ -1,4 +1,29 @@
 import AuthModel from '../Models/AuthModel.js';
+import DataExportModel from '../Models/DataExportModel.js';
+import AuditLogModel from '../Models/AuditLogModel.js';
+
+/**
+ * Send the response for a completed login
+ * @param {Object} res - Express response object
+ * @param {Object} userData - Result of AuthModel.login / loginWithMfa
+ */
+const sendLoginResponse = (res, userData) => {
+  res.json({
+    success: true,
+    message: 'User logged in successfully',
+    data: {
+      user: {
+        id: userData.user.id,
+        email: userData.user.email,
+        username: userData.user.username,
+        status: userData.user.status,
+        role: userData.user.role
+      },
+      session: userData.session,
+      mfaEnrollmentRequired: userData.mfaEnrollmentRequired
+    }
+  });
+};
 
 const authController = {
   /**
@@ -9,8 +34,7 @@ const authController = {
   async signup(req, res) {
     try {
       // Validate input
-      const { email, password, userName, role } = req.body;
-      const normalizedRole = role === 'admin' ? 'admin' : 'user';
+      const { email, password, userName } = req.body;
 
       if (!email || !password || !userName) {
         return res.status(400).json({
@@ -23,8 +47,7 @@ const authController = {
       const userData = await AuthModel.signup({
         email,
         password,
-        userName,
-        role
+        userName
       });
 
       res.status(201).json({
@@ -66,25 +89,35 @@ const authController = {
       }
 
       // Login the user
-      const userData = await AuthModel.login({ email, password });
+      const userData = await AuthModel.login({ email, password }, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
       console.log("user data from login", userData)
 
-      res.json({
-        success: true,
-        message: 'User logged in successfully',
-        data: {
-          user: {
-            id: userData.user.id,
-            email: userData.user.email,
-            username: userData.user.username,
-            status: userData.user.status,
-            role: userData.user.role
-          },
-          session: userData.session
-        }
-      });
+      if (userData.mfaRequired) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication code required',
+          data: {
+            mfaRequired: true,
+            mfaToken: userData.mfaToken,
+            user: userData.user
+          }
+        });
+      }
+
+      sendLoginResponse(res, userData);
     } catch (error) {
       console.error('Login error:', error);
+
+      if (error.code === 'account_suspended') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(401).json({
         success: false,
         message: 'Invalid login credentials',
@@ -93,6 +126,45 @@ const authController = {
     }
   },
 
+  /**
+   * Complete a login with the second factor
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async loginWithMfa(req, res) {
+    try {
+      const { mfaToken, code } = req.body;
+
+      if (!mfaToken || !code) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA token and code are required'
+        });
+      }
+
+      const userData = await AuthModel.loginWithMfa(mfaToken, code, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+
+      sendLoginResponse(res, userData);
+    } catch (error) {
+      console.error('MFA login error:', error);
+
+      if (error.code === 'account_suspended') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(401).json({
+        success: false,
+        message: error.message || 'Invalid verification code'
+      });
+    }
+  },
+
   /**
     * Get user profile by user_id
     */
@@ -116,16 +188,29 @@ const authController = {
   },
 
   /**
- * Get all user profiles
+ * Search user profiles (admin)
+ * Query: search, role, status, suspended, sort, order, limit, cursor
  */
   async getAllUsers(req, res) {
     try {
-      const users = await AuthModel.getAllUsers();
+      const { search, role, status, suspended, sort, order, limit, cursor } = req.query;
+
+      const { users, nextCursor } = await AuthModel.getAllUsers({
+        search,
+        role,
+        status,
+        suspended: suspended === undefined ? undefined : suspended === 'true',
+        sort,
+        order,
+        limit,
+        cursor
+      });
 
       res.status(200).json({
         success: true,
         data: users,
-        count: users.length
+        count: users.length,
+        nextCursor
       });
     } catch (error) {
       console.error('getAllUsers error:', error);
@@ -136,6 +221,149 @@ const authController = {
     }
   },
 
+  /**
+   * Suspend a user account (admin)
+   */
+  async suspendUser(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot suspend your own account'
+        });
+      }
+
+      const before = await AuthModel.getUserById(userId);
+
+      const profile = await AuthModel.suspendUser(userId, {
+        reason: req.body?.reason,
+        suspendedBy: req.user.id
+      });
+
+      await AuditLogModel.record(req, {
+        action: 'user.suspend',
+        targetType: 'user',
+        targetId: userId,
+        before,
+        after: profile
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'User suspended successfully',
+        data: profile
+      });
+    } catch (error) {
+      console.error('suspendUser error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to suspend user'
+      });
+    }
+  },
+
+  /**
+   * Lift a user's suspension (admin)
+   */
+  async unsuspendUser(req, res) {
+    try {
+      const before = await AuthModel.getUserById(req.params.userId);
+
+      const profile = await AuthModel.unsuspendUser(req.params.userId);
+
+      await AuditLogModel.record(req, {
+        action: 'user.unsuspend',
+        targetType: 'user',
+        targetId: req.params.userId,
+        before,
+        after: profile
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'User unsuspended successfully',
+        data: profile
+      });
+    } catch (error) {
+      console.error('unsuspendUser error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to unsuspend user'
+      });
+    }
+  },
+
+  /**
+   * Promote or demote a user (admin)
+   */
+  async changeUserRole(req, res) {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!['admin', 'user'].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role must be one of: admin, user'
+        });
+      }
+
+      // Prevent admins from locking themselves out
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+
+      const before = await AuthModel.getUserById(userId);
+
+      const profile = await AuthModel.changeUserRole(userId, role);
+
+      await AuditLogModel.record(req, {
+        action: 'user.role_change',
+        targetType: 'user',
+        targetId: userId,
+        before: { role: before.role },
+        after: { role: profile.role }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'User role updated successfully',
+        data: profile
+      });
+    } catch (error) {
+      console.error('changeUserRole error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update user role'
+      });
+    }
+  },
+
+  /**
+   * Get document, chat and subscription counts of a user (admin)
+   */
+  async getUserStats(req, res) {
+    try {
+      const stats = await AuthModel.getUserStats(req.params.userId);
+
+      res.status(200).json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      console.error('getUserStats error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to get user stats'
+      });
+    }
+  },
+
   /**
     * Update username by user_id
     */
@@ -167,6 +395,42 @@ const authController = {
     }
   },
 
+  /**
+   * Exchange a refresh token for a new session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refresh token is required'
+        });
+      }
+
+      const session = await AuthModel.refreshSession(refreshToken, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'Session refreshed successfully',
+        data: { session }
+      });
+    } catch (error) {
+      console.error('Refresh session error:', error);
+      res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
   /**
    * Handle user logout
    * @param {Object} req - Express request object
@@ -174,7 +438,7 @@ const authController = {
    */
   async logout(req, res) {
     try {
-      await AuthModel.logout();
+      await AuthModel.logout(req.user.id, req.accessToken);
 
       res.json({
         success: true,
@@ -191,7 +455,334 @@ const authController = {
   },
 
   /**
-  * Delete a user account
+   * Send a password reset email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is required'
+        });
+      }
+
+      try {
+        await AuthModel.requestPasswordReset(email);
+      } catch (error) {
+        // Don't reveal whether an account exists for this email
+        console.error('Password reset request error:', error);
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent.'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to request password reset',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Complete a password reset with the token from the reset email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetPassword(req, res) {
+    try {
+      const { tokenHash, newPassword } = req.body;
+
+      if (!tokenHash || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reset token and new password are required'
+        });
+      }
+
+      await AuthModel.resetPassword(tokenHash, newPassword);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.'
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to reset password',
+        error: process.env.NODE_ENV === 'development' ? error : undefined
+      });
+    }
+  },
+
+  /**
+   * Resend the signup verification email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resendVerification(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is required'
+        });
+      }
+
+      try {
+        await AuthModel.resendVerification(email);
+      } catch (error) {
+        // Don't reveal whether an unverified account exists for this email
+        console.error('Resend verification request error:', error);
+      }
+
+      res.json({
+        success: true,
+        message: 'If an unverified account exists for this email, a verification email has been sent.'
+      });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resend verification email',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Change the current user's email address (requires re-verification)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async changeEmail(req, res) {
+    try {
+      const { newEmail } = req.body;
+
+      if (!newEmail) {
+        return res.status(400).json({
+          success: false,
+          message: 'New email is required'
+        });
+      }
+
+      const result = await AuthModel.changeEmail(req.accessToken, newEmail);
+
+      res.json({
+        success: true,
+        message: 'Please check your email to confirm the new address.',
+        data: result
+      });
+    } catch (error) {
+      console.error('Change email error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to change email',
+        error: process.env.NODE_ENV === 'development' ? error : undefined
+      });
+    }
+  },
+
+  /**
+   * List the active sessions of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await AuthModel.getSessions(req.user.id, req.accessToken);
+
+      res.json({
+        success: true,
+        data: sessions,
+        count: sessions.length
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve sessions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Revoke one of the current user's sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeSession(req, res) {
+    try {
+      const revoked = await AuthModel.revokeSession(req.user.id, req.params.sessionId, req.accessToken);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke session',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Revoke all sessions of the current user except the one making the request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeOtherSessions(req, res) {
+    try {
+      const revokedCount = await AuthModel.revokeOtherSessions(req.user.id, req.accessToken);
+
+      res.json({
+        success: true,
+        message: 'Other sessions revoked successfully',
+        data: { revokedCount }
+      });
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke sessions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Start a personal data export for the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestDataExport(req, res) {
+    try {
+      const exportRecord = await DataExportModel.requestExport(req.user.id);
+
+      // Small exports are built right away, and no notification follows a failure
+      if (exportRecord.status === 'failed') {
+        return res.status(500).json({
+          success: false,
+          message: 'Your data export failed. Please try again.',
+          data: { id: exportRecord.id, status: exportRecord.status },
+          error: process.env.NODE_ENV === 'development' ? exportRecord.error : undefined
+        });
+      }
+
+      const ready = exportRecord.status === 'ready';
+
+      res.status(ready ? 200 : 202).json({
+        success: true,
+        message: ready
+          ? 'Your data export is ready to download'
+          : 'Your data export is being prepared. You will be notified when it is ready.',
+        data: exportRecord
+      });
+    } catch (error) {
+      console.error('Request data export error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start data export',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Get the status of a data export
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDataExport(req, res) {
+    try {
+      const exportRecord = await DataExportModel.getExport(req.user.id, req.params.exportId);
+
+      if (!exportRecord) {
+        return res.status(404).json({
+          success: false,
+          message: 'Export not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: exportRecord
+      });
+    } catch (error) {
+      console.error('Get data export error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve data export',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Download a ready data export archive
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async downloadDataExport(req, res) {
+    try {
+      const exportRecord = await DataExportModel.getExport(req.user.id, req.params.exportId);
+
+      if (!exportRecord) {
+        return res.status(404).json({
+          success: false,
+          message: 'Export not found'
+        });
+      }
+
+      if (exportRecord.status === 'expired') {
+        return res.status(410).json({
+          success: false,
+          message: 'This export has expired. Please request a new one.'
+        });
+      }
+
+      if (exportRecord.status !== 'ready') {
+        return res.status(409).json({
+          success: false,
+          message: 'This export is not ready yet'
+        });
+      }
+
+      res.download(exportRecord.file_path, `data-export-${exportRecord.id}.zip`);
+    } catch (error) {
+      console.error('Download data export error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download data export',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+  * Schedule a user account for deletion. The account and everything it owns
+  * is removed once the grace period ends unless the deletion is cancelled.
   * @param {Object} req - Express request object
   * @param {Object} res - Express response object
   */
@@ -206,11 +797,22 @@ const authController = {
         });
       }
 
-      await AuthModel.deleteAccount(userId);
+      const before = await AuthModel.getUserById(userId);
 
-      res.status(200).json({
+      const receipt = await AuthModel.requestAccountDeletion(userId, req.user.id);
+
+      await AuditLogModel.record(req, {
+        action: 'user.delete',
+        targetType: 'user',
+        targetId: userId,
+        before,
+        after: receipt
+      });
+
+      res.status(202).json({
         success: true,
-        message: 'User account deleted successfully',
+        message: `User account scheduled for deletion on ${new Date(receipt.scheduled_for).toUTCString()}`,
+        data: receipt
       });
     } catch (error) {
       console.error('Delete account error:', error);
@@ -220,6 +822,74 @@ const authController = {
         error: process.env.NODE_ENV === 'development' ? error : undefined
       });
     }
+  },
+
+  /**
+  * Cancel a scheduled account deletion during the grace period
+  * @param {Object} req - Express request object
+  * @param {Object} res - Express response object
+  */
+  async cancelAccountDeletion(req, res) {
+    try {
+      const receipt = await AuthModel.cancelAccountDeletion(req.params.userId);
+
+      if (!receipt) {
+        return res.status(404).json({
+          success: false,
+          message: 'No pending deletion found for this account'
+        });
+      }
+
+      await AuditLogModel.record(req, {
+        action: 'user.delete_cancel',
+        targetType: 'user',
+        targetId: req.params.userId,
+        after: receipt
+      });
+
+      res.json({
+        success: true,
+        message: 'Account deletion cancelled',
+        data: receipt
+      });
+    } catch (error) {
+      console.error('Cancel account deletion error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to cancel account deletion',
+        error: process.env.NODE_ENV === 'development' ? error : undefined
+      });
+    }
+  },
+
+  /**
+  * Get the deletion receipt of an account
+  * @param {Object} req - Express request object
+  * @param {Object} res - Express response object
+  */
+  async getAccountDeletion(req, res) {
+    try {
+      const receipt = await AuthModel.getAccountDeletion(req.params.userId);
+
+      if (!receipt) {
+        return res.status(404).json({
+          success: false,
+          message: 'No deletion request found for this account'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: receipt
+      });
+    } catch (error) {
+      console.error('Get account deletion error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to get account deletion',
+        error: process.env.NODE_ENV === 'development' ? error : undefined
+      });
+    }
   }
 };
 
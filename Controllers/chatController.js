@@ -1,16 +1,20 @@
 import ChatModel from '../Models/ChatModel.js';
+import WorkspaceModel from '../Models/WorkspaceModel.js';
 import supabase from '../Utils/supabaseClient.js';
 // const PDFDocument = require('pdfkit');
 import { Readable } from 'stream';
 import PDFDocument from 'pdfkit';
+
+const CHAT_VISIBILITIES = ['private', 'shared'];
+
 const chatController = {
     /**
      * Create a new chat
      */
     async createChat(req, res) {
         try {
-            const userId = req.user?.id || req.body.userId;
-            const { documentId, title } = req?.body;
+            const userId = req.user.id;
+            const { documentId, title, visibility = 'private' } = req?.body;
 
             if (!documentId) {
                 return res.status(400).json({
@@ -19,7 +23,14 @@ const chatController = {
                 });
             }
 
-            const chat = await ChatModel.createChat(userId, documentId, title);
+            if (!CHAT_VISIBILITIES.includes(visibility)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Visibility must be one of: ${CHAT_VISIBILITIES.join(', ')}`
+                });
+            }
+
+            const chat = await ChatModel.createChat(userId, documentId, title, visibility);
 
             res.status(201).json({
                 success: true,
@@ -37,12 +48,21 @@ const chatController = {
     },
 
     /**
-     * Get all chats for the user
+     * Get all chats for the user, or their own and shared chats of a workspace
      */
     async getUserChats(req, res) {
         try {
-            const userId = req.user?.id || req.query.userId;
-            const chats = await ChatModel.getUserChats(userId);
+            const userId = req.user.id;
+            const { workspaceId } = req.query;
+
+            if (workspaceId && !await WorkspaceModel.hasRole(workspaceId, userId, 'viewer')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Workspace not found'
+                });
+            }
+
+            const chats = await ChatModel.getUserChats(userId, workspaceId);
 
             res.json({
                 success: true,
@@ -63,14 +83,13 @@ const chatController = {
      */
     async deleteUserChats(req, res) {
         try {
-            // Get userId from route params, request user object, or query parameters
-            const userId = req.params.id || req.user?.id || req.query.userId;
+            const userId = req.user.id;
 
-            // Validate userId
-            if (!userId) {
-                return res.status(400).json({
+            // The route still carries the user ID, but it must match the caller
+            if (req.params.id && req.params.id !== userId) {
+                return res.status(403).json({
                     success: false,
-                    message: 'User ID is required'
+                    message: 'You can only delete your own chats'
                 });
             }
 
@@ -102,16 +121,16 @@ const chatController = {
     async deleteChat(req, res) {
         try {
             const chatId = req.params.id;
-            const userId = req.user?.id || req.query.userId;
+            const userId = req.user.id;
 
             console.log('Deleting chat with:', { chatId, userId });
 
-            if (!chatId || !userId) {
-                return res.status(400).json({ success: false, message: 'Chat ID and User ID are required' });
+            if (!chatId) {
+                return res.status(400).json({ success: false, message: 'Chat ID is required' });
             }
 
             const chat = await ChatModel.getChat(chatId, userId);
-            if (!chat) {
+            if (!chat || chat.user_id !== userId) {
                 return res.status(403).json({ success: false, message: 'Unauthorized or chat not found' });
             }
 
@@ -143,7 +162,7 @@ const chatController = {
      */
     async getChat(req, res) {
         try {
-            const userId = req.user?.id || req.query.userId;
+            const userId = req.user.id;
             const chat = await ChatModel.getChat(req.params.id, userId);
 
             if (!chat) {
@@ -168,19 +187,49 @@ const chatController = {
     },
 
     /**
-     * Export chats for a user (as a PDF with readable format)
+     * Share a workspace chat with the workspace or make it private
      */
-    async exportChats(req, res) {
+    async updateVisibility(req, res) {
         try {
-            const userId = req.query.userId;
+            const { visibility } = req.body;
 
-            if (!userId) {
+            if (!CHAT_VISIBILITIES.includes(visibility)) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Missing userId in query parameters',
+                    message: `Visibility must be one of: ${CHAT_VISIBILITIES.join(', ')}`
+                });
+            }
+
+            const chat = await ChatModel.updateVisibility(req.params.id, req.user.id, visibility);
+
+            if (!chat) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Chat not found'
                 });
             }
 
+            res.json({
+                success: true,
+                message: 'Chat visibility updated successfully',
+                data: chat
+            });
+        } catch (error) {
+            console.error('Error updating chat visibility:', error);
+            res.status(400).json({
+                success: false,
+                message: error.message || 'Failed to update chat visibility'
+            });
+        }
+    },
+
+    /**
+     * Export chats for a user (as a PDF with readable format)
+     */
+    async exportChats(req, res) {
+        try {
+            const userId = req.user.id;
+
             const chats = await ChatModel.getUserChats(userId);
 
             if (!chats || chats.length === 0) {
@@ -243,7 +292,7 @@ const chatController = {
      */
     async sendMessage(req, res) {
         try {
-            const userId = req.user?.id || req.body.userId;
+            const userId = req.user.id;
             const { message } = req.body;
 
             if (!message) {
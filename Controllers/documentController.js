@@ -1,56 +1,234 @@
 import DocumentModel from '../Models/DocumentModel.js';
+import WorkspaceModel from '../Models/WorkspaceModel.js';
+import SummaryModel, { SUMMARY_LENGTHS, SUMMARY_STYLES } from '../Models/SummaryModel.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import { ALLOWED_TYPES_LABEL, getFileType, isArchive } from '../Utils/fileTypes.js';
+import { extractZipEntries } from '../Utils/archive.js';
+import { inspectUpload, quarantineFile } from '../Utils/fileInspection.js';
+import { uploadLimiter } from '../Middleware/rateLimiter.js';
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB per document
+const MAX_ARCHIVE_SIZE = 50 * 1024 * 1024; // 50MB per ZIP upload
+const MAX_BATCH_FILES = 20;
+
+// Limits for the contents of an uploaded ZIP archive
+const ARCHIVE_LIMITS = {
+    maxEntries: 100,
+    maxEntrySize: MAX_FILE_SIZE,
+    maxTotalSize: 200 * 1024 * 1024
+};
+
+/**
+ * Directory uploads are staged in until they are checked and moved to
+ * storage, created on first use
+ */
+const getUploadDir = () => {
+    const uploadDir = path.join(process.cwd(), 'uploads', 'incoming');
+
+    // Create uploads directory if it doesn't exist
+    if (!fs.existsSync(uploadDir)) {
+        fs.mkdirSync(uploadDir, { recursive: true });
+    }
+
+    return uploadDir;
+};
+
+/**
+ * Unique file name for a stored upload. The extension comes from the
+ * recognized file type rather than the client's file name.
+ */
+const getStoredFileName = (originalName, mimetype) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const fileType = getFileType(originalName, mimetype);
+    const extension = fileType ? fileType.extensions[0] : isArchive(originalName, mimetype) ? '.zip' : '';
+    return uniqueSuffix + extension;
+};
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = path.join(process.cwd(), 'uploads');
-
-        // Create uploads directory if it doesn't exist
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-
-        cb(null, uploadDir);
+        cb(null, getUploadDir());
     },
     filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, uniqueSuffix + path.extname(file.originalname));
+        cb(null, getStoredFileName(file.originalname, file.mimetype));
     }
 });
 
 // Create multer upload instance
 export const upload = multer({
     storage,
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    limits: { fileSize: MAX_FILE_SIZE },
     fileFilter: (req, file, cb) => {
-        const allowedMimeTypes = [
-            'application/pdf',
-            'text/plain',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'image/png',
-            'image/jpeg',
-            'image/jpg'
-        ];
-
-        if (allowedMimeTypes.includes(file.mimetype)) {
+        if (getFileType(file.originalname, file.mimetype)) {
             cb(null, true);
         } else {
-            cb(new Error('Only PDF, TXT, DOC, DOCX, PNG, JPG, and JPEG files are allowed'));
+            cb(new Error(`Only ${ALLOWED_TYPES_LABEL} files are allowed`));
         }
     }
 });
 
+// Multer instance for batch uploads. Files are validated one by one in the
+// controller so a bad file fails on its own instead of the whole request.
+export const uploadBatch = multer({
+    storage,
+    limits: { fileSize: MAX_ARCHIVE_SIZE, files: MAX_BATCH_FILES }
+});
+
+// Response status and message of a single upload, by its duplicate status
+// (see DocumentModel.uploadDocument)
+const UPLOAD_OUTCOMES = {
+    existing: { status: 200, message: 'This document was already uploaded' },
+    reference: { status: 201, message: 'Document uploaded and ready, using an identical document already processed' },
+    none: { status: 202, message: 'Document uploaded and queued for processing' }
+};
+
+/**
+ * Check the content of a stored upload. Files that are not what they claim
+ * to be are deleted, suspicious ones are moved to quarantine.
+ * @param {string} filePath
+ * @param {Object} fileType - Entry of FILE_TYPES the upload claims to be
+ * @param {Object} details - Uploader and original name, kept with quarantined files
+ * @returns {Promise<Object>} { status, error } if the file cannot be used, otherwise
+ *   { removed } listing the active content stripped from it
+ */
+const screenUpload = async (filePath, fileType, details) => {
+    const inspection = await inspectUpload(filePath, fileType);
+
+    if (inspection.verdict === 'rejected') {
+        await fs.promises.rm(filePath, { force: true });
+        return { status: 400, error: inspection.reason };
+    }
+
+    if (inspection.verdict === 'quarantined') {
+        await quarantineFile(filePath, { ...details, fileType: fileType.label, reason: inspection.reason });
+        console.warn(`Quarantined upload ${details.originalName}: ${inspection.reason}`);
+        return { status: 422, error: `File was quarantined: ${inspection.reason}` };
+    }
+
+    return { removed: inspection.removed };
+};
+
+/**
+ * Validate one uploaded file and create its document. The staged file is
+ * always gone afterwards: moved to storage or quarantine, or deleted.
+ * @param {Function} chargeUpload - Counts the file against the caller's
+ *   upload limit, see uploadLimiter.consume
+ * @returns {Promise<Object>} Per-file result
+ */
+const storeUpload = async (userId, workspaceId, { filePath, size, name, mimetype }, chargeUpload) => {
+    const fileType = getFileType(name, mimetype);
+    const failure = (error) => ({ filename: name, success: false, error });
+
+    try {
+        if (!fileType) return failure(`Unsupported file type. Allowed types: ${ALLOWED_TYPES_LABEL}, ZIP`);
+        if (size > MAX_FILE_SIZE) return failure('File is larger than 10MB');
+
+        const quota = await chargeUpload();
+        if (!quota.allowed) return failure(`Upload limit reached. Please try again in ${quota.resetSeconds} seconds.`);
+
+        const screening = await screenUpload(filePath, fileType, { userId, workspaceId, originalName: name });
+        if (screening.error) return failure(screening.error);
+
+        const document = await DocumentModel.uploadDocument(
+            userId,
+            { path: filePath, size },
+            name,
+            fileType.mimeType,
+            workspaceId
+        );
+
+        return {
+            filename: name,
+            success: true,
+            documentId: document.id,
+            status: document.status,
+            duplicate: document.duplicate,
+            message: UPLOAD_OUTCOMES[document.duplicate || 'none'].message,
+            ...(screening.removed.length > 0 && { removedContent: screening.removed })
+        };
+    } catch (error) {
+        console.error(`Error storing upload ${name}:`, error);
+        return failure('Failed to store document');
+    } finally {
+        await fs.promises.rm(filePath, { force: true });
+    }
+};
+
+/**
+ * Expand an uploaded ZIP archive and create a document per file inside it
+ * @param {Function} chargeUpload - See storeUpload
+ * @returns {Promise<Object[]>} Per-file results
+ */
+const storeArchive = async (userId, workspaceId, file, chargeUpload) => {
+    let entries;
+    try {
+        entries = await extractZipEntries(file.path, ARCHIVE_LIMITS, (name) => path.join(getUploadDir(), getStoredFileName(name)));
+    } catch (error) {
+        return [{ filename: file.originalname, success: false, error: error.message || 'Could not read archive' }];
+    } finally {
+        await fs.promises.rm(file.path, { force: true });
+    }
+
+    const results = [];
+    try {
+        for (const entry of entries) {
+            let result;
+
+            if (entry.error) {
+                result = { filename: entry.name, success: false, error: entry.error };
+            } else if (isArchive(entry.name)) {
+                result = { filename: entry.name, success: false, error: 'Nested archives are not supported' };
+            } else {
+                result = await storeUpload(userId, workspaceId, {
+                    filePath: entry.path,
+                    size: entry.size,
+                    name: entry.name
+                }, chargeUpload);
+            }
+
+            results.push({ ...result, archive: file.originalname });
+        }
+    } finally {
+        // Extracted files that were not stored
+        await Promise.all(entries.map(entry => entry.path && fs.promises.rm(entry.path, { force: true })));
+    }
+
+    return results;
+};
+
+/**
+ * Response message of a batch upload, telling queued documents apart from
+ * duplicates that need no processing
+ */
+const describeBatch = (results) => {
+    const succeeded = results.filter(result => result.success);
+    const count = (duplicate) => succeeded.filter(result => (result.duplicate || null) === duplicate).length;
+
+    const outcomes = [
+        [count(null), 'queued for processing'],
+        [count('reference'), 'ready, using identical documents already processed'],
+        [count('existing'), 'already uploaded']
+    ].filter(([number]) => number > 0).map(([number, text]) => `${number} ${text}`);
+
+    const uploaded = succeeded.length === results.length
+        ? 'All documents uploaded'
+        : `${succeeded.length} of ${results.length} documents uploaded`;
+
+    return outcomes.length > 0 ? `${uploaded}: ${outcomes.join(', ')}` : uploaded;
+};
+
+// Summaries and insights of long documents take several model calls
+const SUMMARY_TIMEOUT_MS = 5 * 60 * 1000;
+
 const documentController = {
     /**
      * Upload a new document
      */
     async uploadDocument(req, res) {
         try {
-            const userId = req.user?.id || req.body.userId;
+            const userId = req.user.id;
             if (!req.file) {
                 return res.status(400).json({
                     success: false,
@@ -58,16 +236,44 @@ const documentController = {
                 });
             }
 
+            // Uploading into a workspace needs at least the editor role
+            const workspaceId = req.body?.workspaceId || null;
+            if (workspaceId && !await WorkspaceModel.hasRole(workspaceId, userId, 'editor')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to upload to this workspace'
+                });
+            }
+
+            const fileType = getFileType(req.file.originalname, req.file.mimetype);
+            const screening = await screenUpload(req.file.path, fileType, {
+                userId,
+                workspaceId,
+                originalName: req.file.originalname
+            });
+
+            if (screening.error) {
+                return res.status(screening.status).json({
+                    success: false,
+                    message: screening.error
+                });
+            }
+
             const document = await DocumentModel.uploadDocument(
                 userId,
                 req.file,
                 req.file.originalname,
-                req.file.mimetype,
+                fileType.mimeType,
+                workspaceId
             );
 
-            res.status(201).json({
+            const outcome = UPLOAD_OUTCOMES[document.duplicate || 'none'];
+
+            res.status(outcome.status).json({
                 success: true,
-                message: 'Document uploaded and processed successfully',
+                message: screening.removed.length > 0
+                    ? `${outcome.message}. Removed active content: ${screening.removed.join(', ')}`
+                    : outcome.message,
                 data: document
             });
         } catch (error) {
@@ -77,16 +283,97 @@ const documentController = {
                 message: 'Failed to upload document',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
+        } finally {
+            // A stored upload has been moved out of the staging directory
+            if (req.file) await fs.promises.rm(req.file.path, { force: true });
         }
     },
 
     /**
-     * Get all documents for the user
+     * Upload several documents at once, or ZIP archives that are expanded
+     * into a document per file. Responds with a result for every file.
+     */
+    async uploadDocuments(req, res) {
+        const files = req.files || [];
+
+        try {
+            const userId = req.user.id;
+
+            if (files.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No files uploaded'
+                });
+            }
+
+            // Uploading into a workspace needs at least the editor role
+            const workspaceId = req.body?.workspaceId || null;
+            if (workspaceId && !await WorkspaceModel.hasRole(workspaceId, userId, 'editor')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to upload to this workspace'
+                });
+            }
+
+            // Every stored file counts against the upload limit, including
+            // the files inside archives
+            const chargeUpload = () => uploadLimiter.consume(req, res);
+
+            const results = [];
+            for (const file of files) {
+                if (isArchive(file.originalname, file.mimetype)) {
+                    results.push(...await storeArchive(userId, workspaceId, file, chargeUpload));
+                } else {
+                    results.push(await storeUpload(userId, workspaceId, {
+                        filePath: file.path,
+                        size: file.size,
+                        name: file.originalname,
+                        mimetype: file.mimetype
+                    }, chargeUpload));
+                }
+            }
+
+            const succeeded = results.filter(result => result.success).length;
+            const queued = results.some(result => result.success && !result.duplicate);
+
+            res.status(succeeded === 0 ? 400 : queued ? 202 : 200).json({
+                success: succeeded > 0,
+                message: describeBatch(results),
+                data: {
+                    succeeded,
+                    failed: results.length - succeeded,
+                    results
+                }
+            });
+        } catch (error) {
+            console.error('Error in batch upload:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to upload documents',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        } finally {
+            // Stored files have been moved out of the staging directory
+            await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+        }
+    },
+
+    /**
+     * Get the user's personal documents, or the documents of a workspace
      */
     async getUserDocuments(req, res) {
         try {
-            const userId = req.user?.id || req.body.userId;
-            const documents = await DocumentModel.getUserDocuments(userId);
+            const userId = req.user.id;
+            const { workspaceId } = req.query;
+
+            if (workspaceId && !await WorkspaceModel.hasRole(workspaceId, userId, 'viewer')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Workspace not found'
+                });
+            }
+
+            const documents = await DocumentModel.getUserDocuments(userId, workspaceId);
 
             res.json({
                 success: true,
@@ -128,6 +415,380 @@ const documentController = {
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
+    },
+
+    /**
+     * Get a short-lived signed link to download a document's original file
+     */
+    async getDownloadUrl(req, res) {
+        try {
+            const document = await DocumentModel.getDocument(req.params.id, req.user.id);
+
+            if (!document) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            if (!document.file_path) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'The original file of this document is not available'
+                });
+            }
+
+            const { url, expiresAt } = await DocumentModel.getDownloadUrl(document);
+
+            res.json({
+                success: true,
+                data: {
+                    url,
+                    expiresAt,
+                    filename: document.filename
+                }
+            });
+        } catch (error) {
+            console.error('Error creating download link:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create download link',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    /**
+     * Get the ingestion status of a document
+     */
+    async getDocumentStatus(req, res) {
+        try {
+            const document = await DocumentModel.getDocument(req.params.id, req.user.id);
+
+            if (!document) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    id: document.id,
+                    status: document.status || 'ready',
+                    progress: document.status ? document.progress : 100,
+                    error: document.error || null,
+                    attempts: document.attempts || 0,
+                    processedAt: document.processed_at || null
+                }
+            });
+        } catch (error) {
+            console.error('Error getting document status:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve document status',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    /**
+     * Queue a failed document for processing again
+     */
+    async retryDocument(req, res) {
+        try {
+            const document = await DocumentModel.retryDocument(req.params.id, req.user.id);
+
+            if (!document) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            res.status(202).json({
+                success: true,
+                message: 'Document queued for processing',
+                data: document
+            });
+        } catch (error) {
+            console.error('Error retrying document:', error);
+
+            if (error.code === 'document_status_conflict') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retry document',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    /**
+     * Rename a document or change its description
+     */
+    async updateDocument(req, res) {
+        try {
+            const { filename, description } = req.body;
+
+            if (filename === undefined && description === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Provide a filename or description to update'
+                });
+            }
+
+            if (filename !== undefined && (typeof filename !== 'string' || !filename.trim() || filename.length > 255)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Filename must be between 1 and 255 characters'
+                });
+            }
+
+            if (description !== undefined && description !== null &&
+                (typeof description !== 'string' || description.length > 2000)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Description must be at most 2000 characters'
+                });
+            }
+
+            const document = await DocumentModel.updateDocument(req.params.id, req.user.id, {
+                filename: filename?.trim(),
+                description
+            });
+
+            if (!document) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Document updated successfully',
+                data: document
+            });
+        } catch (error) {
+            console.error('Error updating document:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update document',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    /**
+     * Delete a document along with its embeddings, chats and file
+     */
+    async deleteDocument(req, res) {
+        try {
+            const result = await DocumentModel.deleteDocument(req.params.id, req.user.id);
+
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Document deleted successfully',
+                data: result
+            });
+        } catch (error) {
+            console.error('Error deleting document:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete document',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    /**
+     * Rebuild the embeddings of a document from its stored text
+     */
+    async reindexDocument(req, res) {
+        try {
+            const document = await DocumentModel.reindexDocument(req.params.id, req.user.id);
+
+            if (!document) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            res.status(202).json({
+                success: true,
+                message: 'Document queued for re-indexing',
+                data: document
+            });
+        } catch (error) {
+            console.error('Error re-indexing document:', error);
+
+            if (error.code === 'document_status_conflict') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Failed to re-index document',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    /**
+     * Summarize a whole document, reusing a cached summary unless asked to regenerate
+     */
+    async summarizeDocument(req, res) {
+        try {
+            const { length = 'medium', style = 'bullet_points', focus, regenerate = false } = req.body || {};
+
+            if (!SUMMARY_LENGTHS[length]) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Length must be one of: ${Object.keys(SUMMARY_LENGTHS).join(', ')}`
+                });
+            }
+
+            if (!SUMMARY_STYLES[style]) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Style must be one of: ${Object.keys(SUMMARY_STYLES).join(', ')}`
+                });
+            }
+
+            if (focus !== undefined && focus !== null && (typeof focus !== 'string' || focus.length > 200)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Focus must be a topic of at most 200 characters'
+                });
+            }
+
+            const document = await DocumentModel.getDocument(req.params.id, req.user.id);
+
+            if (!document) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            if ((document.status && document.status !== 'ready') || !document.content) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Document is still being processed'
+                });
+            }
+
+            req.setTimeout(SUMMARY_TIMEOUT_MS);
+
+            const summary = await SummaryModel.summarizeDocument(document, {
+                length,
+                style,
+                focus: focus?.trim() || null,
+                regenerate: regenerate === true
+            });
+
+            res.json({
+                success: true,
+                data: summary
+            });
+        } catch (error) {
+            console.error('Error summarizing document:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to summarize document',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    /**
+     * Get the stored structured insights of a document
+     */
+    async getDocumentInsights(req, res) {
+        try {
+            const document = await DocumentModel.getDocument(req.params.id, req.user.id);
+
+            if (!document || !document.insights) {
+                return res.status(404).json({
+                    success: false,
+                    message: document ? 'No insights have been generated for this document yet' : 'Document not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    ...document.insights,
+                    stale: !SummaryModel.isFresh(document, document.insights)
+                }
+            });
+        } catch (error) {
+            console.error('Error getting document insights:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve document insights',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    /**
+     * Generate the outline, key points, entities and action items of a document
+     */
+    async generateDocumentInsights(req, res) {
+        try {
+            const document = await DocumentModel.getDocument(req.params.id, req.user.id);
+
+            if (!document) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            if ((document.status && document.status !== 'ready') || !document.content) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Document is still being processed'
+                });
+            }
+
+            req.setTimeout(SUMMARY_TIMEOUT_MS);
+
+            const insights = await SummaryModel.extractInsights(document, {
+                regenerate: req.body?.regenerate === true
+            });
+
+            res.json({
+                success: true,
+                data: insights
+            });
+        } catch (error) {
+            console.error('Error generating document insights:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate document insights',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
     }
 };
 
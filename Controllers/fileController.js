@@ -0,0 +1,33 @@
+import { getStorage, verifyDownloadToken } from '../Utils/storage.js';
+
+const fileController = {
+  /**
+   * Download a locally stored file with a signed link from
+   * GET /api/documents/:id/download. The link itself is the authorization.
+   */
+  async downloadFile(req, res) {
+    const file = verifyDownloadToken(req.params.token);
+
+    if (!file) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, no-store');
+
+    res.download(getStorage('local').resolve(file.key), file.filename, (error) => {
+      if (!error || res.headersSent) return;
+
+      console.error('Error sending file:', error);
+      res.status(error.code === 'ENOENT' ? 404 : 500).json({
+        success: false,
+        message: error.code === 'ENOENT' ? 'File not found' : 'Failed to download file'
+      });
+    });
+  }
+};
+
+export default fileController;
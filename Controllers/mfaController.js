@@ -0,0 +1,181 @@
+import MfaModel from '../Models/MfaModel.js';
+import AuditLogModel from '../Models/AuditLogModel.js';
+
+const mfaController = {
+  /**
+   * Get the 2FA status of the current user
+   */
+  async getStatus(req, res) {
+    try {
+      const status = await MfaModel.getStatus(req.user);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      console.error('Get MFA status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve two-factor status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Start 2FA enrollment and return the secret as an otpauth URI and QR code
+   */
+  async startEnrollment(req, res) {
+    try {
+      const enrollment = await MfaModel.startEnrollment(req.user);
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then verify a code to finish',
+        data: enrollment
+      });
+    } catch (error) {
+      console.error('Start MFA enrollment error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to start two-factor enrollment'
+      });
+    }
+  },
+
+  /**
+   * Finish 2FA enrollment with a code from the authenticator app
+   */
+  async confirmEnrollment(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification code is required'
+        });
+      }
+
+      const recoveryCodes = await MfaModel.confirmEnrollment(req.user.id, code);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Confirm MFA enrollment error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to enable two-factor authentication'
+      });
+    }
+  },
+
+  /**
+   * Replace the recovery codes of the current user
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const recoveryCodes = await MfaModel.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to regenerate recovery codes'
+      });
+    }
+  },
+
+  /**
+   * Turn off 2FA for the current user
+   */
+  async disable(req, res) {
+    try {
+      await MfaModel.disable(req.user, req.body.code);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      console.error('Disable MFA error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to disable two-factor authentication'
+      });
+    }
+  },
+
+  /**
+   * Get the roles that must use 2FA (admin)
+   */
+  async getEnforcement(req, res) {
+    try {
+      const roles = await MfaModel.getRequiredRoles();
+
+      res.json({
+        success: true,
+        data: { roles }
+      });
+    } catch (error) {
+      console.error('Get MFA enforcement error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve two-factor enforcement',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Set the roles that must use 2FA (admin)
+   */
+  async setEnforcement(req, res) {
+    try {
+      const { roles } = req.body;
+      const validRoles = ['admin', 'user'];
+
+      if (!Array.isArray(roles) || roles.some(role => !validRoles.includes(role))) {
+        return res.status(400).json({
+          success: false,
+          message: `Roles must be an array containing any of: ${validRoles.join(', ')}`
+        });
+      }
+
+      const before = await MfaModel.getRequiredRoles();
+      const updatedRoles = await MfaModel.setRequiredRoles([...new Set(roles)], req.user.id);
+
+      await AuditLogModel.record(req, {
+        action: 'security.mfa_enforcement',
+        targetType: 'setting',
+        targetId: 'mfa_required_roles',
+        before: { roles: before },
+        after: { roles: updatedRoles }
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor enforcement updated',
+        data: { roles: updatedRoles }
+      });
+    } catch (error) {
+      console.error('Set MFA enforcement error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update two-factor enforcement',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+export default mfaController;
@@ -0,0 +1,57 @@
+import NotificationModel from '../Models/NotificationModel.js';
+
+const notificationController = {
+  /**
+   * Get notifications for the current user
+   */
+  async getNotifications(req, res) {
+    try {
+      const notifications = await NotificationModel.getUserNotifications(req.user.id, {
+        unreadOnly: req.query.unread === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: notifications,
+        count: notifications.length
+      });
+    } catch (error) {
+      console.error('Error getting notifications:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve notifications',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Mark a notification as read
+   */
+  async markAsRead(req, res) {
+    try {
+      const notification = await NotificationModel.markAsRead(req.user.id, req.params.id);
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: notification
+      });
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update notification',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+export default notificationController;
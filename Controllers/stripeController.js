@@ -1,5 +1,7 @@
 import StripeModel from '../Models/StripeModel.js';
+import AuditLogModel from '../Models/AuditLogModel.js';
 import supabase from '../Utils/supabaseClient.js';
+import { PLAN_FEATURES } from '../Utils/fileTypes.js';
 
 const StripeController = {
   /**
@@ -7,15 +9,16 @@ const StripeController = {
    */
   async createSubscription(req, res) {
     try {
-      const { userId, email, couponCode, planId } = req.body;
+      const { id: userId, email } = req.user;
+      const { couponCode, planId } = req.body;
 
       console.log("Request body:", { userId, email, couponCode, planId });
 
       // Basic validation
-      if (!userId || !email || !planId) {
+      if (!planId) {
         return res.status(400).json({
           success: false,
-          message: 'User ID, email, and plan ID are required'
+          message: 'Plan ID is required'
         });
       }
 
@@ -62,6 +65,7 @@ const StripeController = {
       }
 
       const result = await StripeModel.createSubscriptionAfterSetup({
+        userId: req.user.id,
         customerId,
         paymentMethodId,
         couponCode
@@ -87,13 +91,14 @@ const StripeController = {
    */
   async createPlan(req, res) {
     try {
-      const { name, description, price, interval, userId, features } = req.body;
+      const { name, description, price, interval, features } = req.body;
+      const userId = req.user.id;
 
       // Validate required fields
-      if (!name || !description || !price || !interval || !userId) {
+      if (!name || !description || !price || !interval) {
         return res.status(400).json({
           success: false,
-          message: 'All fields are required: name, description, price, interval, userId'
+          message: 'All fields are required: name, description, price, interval'
         });
       }
 
@@ -124,7 +129,7 @@ const StripeController = {
       }
 
       // Validate features if provided
-      const validFeatures = ['pdf', 'txt', 'docx', 'png', 'jpg'];
+      const validFeatures = PLAN_FEATURES;
       if (features) {
         const invalidFeatures = features.filter(f => !validFeatures.includes(f));
         if (invalidFeatures.length > 0) {
@@ -146,6 +151,13 @@ const StripeController = {
 
       console.log("Plan created successfully:", result);
 
+      await AuditLogModel.record(req, {
+        action: 'plan.create',
+        targetType: 'plan',
+        targetId: result.id,
+        after: result
+      });
+
       res.status(201).json({
         success: true,
         message: 'Plan created successfully',
@@ -207,7 +219,7 @@ const StripeController = {
 
       // Validate features if provided
       if (features) {
-        const validFeatures = ['pdf', 'txt', 'docx', 'png', 'jpg'];
+        const validFeatures = PLAN_FEATURES;
         const invalidFeatures = features.filter(f => !validFeatures.includes(f));
         if (invalidFeatures.length > 0) {
           return res.status(400).json({
@@ -217,6 +229,8 @@ const StripeController = {
         }
       }
 
+      const before = await StripeModel.getPlanById(planId);
+
       const result = await StripeModel.updatePlan(planId, {
         name,
         description,
@@ -226,6 +240,14 @@ const StripeController = {
         is_active
       });
 
+      await AuditLogModel.record(req, {
+        action: 'plan.update',
+        targetType: 'plan',
+        targetId: planId,
+        before,
+        after: await StripeModel.getPlanById(planId)
+      });
+
       res.status(200).json({
         success: true,
         message: 'Plan updated successfully',
@@ -278,12 +300,22 @@ const StripeController = {
         });
       }
 
+      const before = await StripeModel.getPlanById(planId);
+
       // First archive/delete in Stripe
       const stripeResult = await StripeModel.archiveStripePlan(planId);
 
       // Then delete from our database
       const dbResult = await StripeModel.deletePlan(planId);
 
+      await AuditLogModel.record(req, {
+        action: 'plan.delete',
+        targetType: 'plan',
+        targetId: planId,
+        before,
+        after: await StripeModel.getPlanById(planId)
+      });
+
       res.status(200).json({
         success: true,
         message: 'Plan deleted successfully',
@@ -309,7 +341,8 @@ const StripeController = {
   async updatePlanStatus(req, res) {
     try {
       const { planId } = req.params;
-      const { isActive, userId } = req.body;
+      const { isActive } = req.body;
+      const userId = req.user.id;
 
       if (!planId) {
         return res.status(400).json({
@@ -325,12 +358,7 @@ const StripeController = {
         });
       }
 
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'User ID is required'
-        });
-      }
+      const before = await StripeModel.getPlanById(planId);
 
       const result = await StripeModel.updatePlanStatus({
         planId,
@@ -338,6 +366,14 @@ const StripeController = {
         userId
       });
 
+      await AuditLogModel.record(req, {
+        action: isActive ? 'plan.activate' : 'plan.deactivate',
+        targetType: 'plan',
+        targetId: planId,
+        before,
+        after: await StripeModel.getPlanById(planId)
+      });
+
       res.status(200).json({
         success: true,
         message: `Plan ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -366,15 +402,15 @@ const StripeController = {
         discountType,
         discountValue,
         maxRedemptions,
-        expiresAt,
-        userId
+        expiresAt
       } = req.body;
+      const userId = req.user.id;
 
       // Validate required fields
-      if (!code || !name || !discountType || !discountValue || !userId) {
+      if (!code || !name || !discountType || !discountValue) {
         return res.status(400).json({
           success: false,
-          message: 'Code, name, discountType, discountValue, and userId are required'
+          message: 'Code, name, discountType, and discountValue are required'
         });
       }
 
@@ -441,6 +477,13 @@ const StripeController = {
 
       console.log("Coupon created successfully:", result);
 
+      await AuditLogModel.record(req, {
+        action: 'coupon.create',
+        targetType: 'coupon',
+        targetId: result.id,
+        after: result
+      });
+
       res.status(201).json({
         success: true,
         message: 'Coupon created successfully',
@@ -555,11 +598,7 @@ const StripeController = {
   // In your Node.js backend (subscription controller)
   async getActiveSubscription(req, res) {
     try {
-      const { user_id } = req.query;
-
-      if (!user_id) {
-        return res.status(400).json({ error: 'User ID is required' });
-      }
+      const user_id = req.user.id;
 
       // Get the most recent active subscription
       const { data: subscription, error } = await supabase
@@ -625,7 +664,8 @@ const StripeController = {
   async updateCouponStatus(req, res) {
     try {
       const { couponId } = req.params;
-      const { isActive, userId } = req.body;
+      const { isActive } = req.body;
+      const userId = req.user.id;
 
       if (!couponId) {
         return res.status(400).json({
@@ -641,12 +681,7 @@ const StripeController = {
         });
       }
 
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'User ID is required'
-        });
-      }
+      const before = await StripeModel.getCouponById(couponId);
 
       const result = await StripeModel.updateCouponStatus({
         couponId,
@@ -654,6 +689,14 @@ const StripeController = {
         userId
       });
 
+      await AuditLogModel.record(req, {
+        action: isActive ? 'coupon.activate' : 'coupon.deactivate',
+        targetType: 'coupon',
+        targetId: couponId,
+        before,
+        after: await StripeModel.getCouponById(couponId)
+      });
+
       res.status(200).json({
         success: true,
         message: `Coupon ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -676,7 +719,7 @@ const StripeController = {
   async deleteCoupon(req, res) {
     try {
       const { couponId } = req.params;
-      const { userId } = req.body;
+      const userId = req.user.id;
 
       if (!couponId) {
         return res.status(400).json({
@@ -685,15 +728,17 @@ const StripeController = {
         });
       }
 
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'User ID is required'
-        });
-      }
+      const before = await StripeModel.getCouponById(couponId);
 
       const result = await StripeModel.deleteCoupon({ couponId, userId });
 
+      await AuditLogModel.record(req, {
+        action: 'coupon.delete',
+        targetType: 'coupon',
+        targetId: couponId,
+        before
+      });
+
       res.status(200).json({
         success: true,
         message: 'Coupon deleted successfully',
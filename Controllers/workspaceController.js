@@ -0,0 +1,347 @@
+import WorkspaceModel, { WORKSPACE_ROLES } from '../Models/WorkspaceModel.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const workspaceController = {
+  /**
+   * Create a workspace owned by the current user
+   */
+  async createWorkspace(req, res) {
+    try {
+      const name = req.body?.name?.trim();
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Workspace name is required'
+        });
+      }
+
+      const workspace = await WorkspaceModel.createWorkspace(req.user.id, name);
+
+      res.status(201).json({
+        success: true,
+        message: 'Workspace created successfully',
+        data: workspace
+      });
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create workspace',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Get the workspaces the current user belongs to
+   */
+  async getWorkspaces(req, res) {
+    try {
+      const workspaces = await WorkspaceModel.getUserWorkspaces(req.user.id);
+
+      res.json({
+        success: true,
+        data: workspaces
+      });
+    } catch (error) {
+      console.error('Error getting workspaces:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve workspaces',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Get a workspace with its members
+   */
+  async getWorkspace(req, res) {
+    try {
+      const workspace = await WorkspaceModel.getWorkspace(req.params.workspaceId, req.user.id);
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: workspace
+      });
+    } catch (error) {
+      console.error('Error getting workspace:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve workspace',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Rename a workspace
+   */
+  async renameWorkspace(req, res) {
+    try {
+      const name = req.body?.name?.trim();
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Workspace name is required'
+        });
+      }
+
+      const workspace = await WorkspaceModel.renameWorkspace(req.params.workspaceId, name);
+
+      res.json({
+        success: true,
+        message: 'Workspace updated successfully',
+        data: workspace
+      });
+    } catch (error) {
+      console.error('Error renaming workspace:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update workspace',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Delete a workspace that no longer has documents
+   */
+  async deleteWorkspace(req, res) {
+    try {
+      await WorkspaceModel.deleteWorkspace(req.params.workspaceId);
+
+      res.json({
+        success: true,
+        message: 'Workspace deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting workspace:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to delete workspace'
+      });
+    }
+  },
+
+  /**
+   * Invite someone to the workspace by email
+   */
+  async inviteMember(req, res) {
+    try {
+      const { email, role = 'viewer' } = req.body;
+
+      if (!email || !EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid email is required'
+        });
+      }
+
+      if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`
+        });
+      }
+
+      const invitation = await WorkspaceModel.inviteMember(req.params.workspaceId, req.user, { email, role });
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: invitation
+      });
+    } catch (error) {
+      console.error('Error inviting workspace member:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to send invitation'
+      });
+    }
+  },
+
+  /**
+   * Get the pending invitations of a workspace
+   */
+  async getWorkspaceInvitations(req, res) {
+    try {
+      const invitations = await WorkspaceModel.getWorkspaceInvitations(req.params.workspaceId);
+
+      res.json({
+        success: true,
+        data: invitations
+      });
+    } catch (error) {
+      console.error('Error getting workspace invitations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve invitations',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Withdraw a pending invitation
+   */
+  async revokeInvitation(req, res) {
+    try {
+      const revoked = await WorkspaceModel.revokeInvitation(req.params.workspaceId, req.params.invitationId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked successfully'
+      });
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Get the pending invitations addressed to the current user
+   */
+  async getMyInvitations(req, res) {
+    try {
+      const invitations = await WorkspaceModel.getPendingInvitations(req.user.email);
+
+      res.json({
+        success: true,
+        data: invitations
+      });
+    } catch (error) {
+      console.error('Error getting invitations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve invitations',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Accept an invitation addressed to the current user
+   */
+  async acceptInvitation(req, res) {
+    try {
+      const workspace = await WorkspaceModel.acceptInvitation(req.params.invitationId, req.user);
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found or has expired'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: workspace
+      });
+    } catch (error) {
+      console.error('Error accepting invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept invitation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  /**
+   * Change the role of a member
+   */
+  async updateMemberRole(req, res) {
+    try {
+      const { role } = req.body;
+
+      if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`
+        });
+      }
+
+      const member = await WorkspaceModel.updateMemberRole(req.params.workspaceId, req.params.userId, role);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Member role updated successfully',
+        data: member
+      });
+    } catch (error) {
+      console.error('Error updating member role:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to update member role'
+      });
+    }
+  },
+
+  /**
+   * Remove a member. Owners can remove anyone; other members can only leave.
+   */
+  async removeMember(req, res) {
+    try {
+      const { workspaceId, userId } = req.params;
+
+      if (userId !== req.user.id && req.workspaceRole !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action'
+        });
+      }
+
+      const removed = await WorkspaceModel.removeMember(workspaceId, userId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: userId === req.user.id ? 'You left the workspace' : 'Member removed successfully'
+      });
+    } catch (error) {
+      console.error('Error removing member:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to remove member'
+      });
+    }
+  }
+};
+
+export default workspaceController;
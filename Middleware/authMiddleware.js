@@ -0,0 +1,222 @@
+import supabase from '../Utils/supabaseClient.js';
+import SessionModel from '../Models/SessionModel.js';
+import ApiKeyModel, { API_KEY_PREFIX } from '../Models/ApiKeyModel.js';
+import MfaModel from '../Models/MfaModel.js';
+
+/**
+ * Pull the bearer token out of the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme?.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+};
+
+/**
+ * Load the profile data (username, role, status) attached to req.user
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+const loadProfile = async (userId) => {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('email, username, status, role, suspended_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Send the response for requests made by a suspended account
+ * @param {Object} res - Express response object
+ */
+const accountSuspended = (res) => res.status(403).json({
+  success: false,
+  message: 'This account has been suspended'
+});
+
+/**
+ * Pull an API key from the X-API-Key header or an Authorization bearer token
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+const getApiKey = (req) => {
+  const headerKey = req.get('x-api-key');
+  if (headerKey) return headerKey.trim();
+
+  const token = getBearerToken(req);
+  return token?.startsWith(API_KEY_PREFIX) ? token : null;
+};
+
+/**
+ * Accept a personal API key as an alternative to a session token on a route
+ * group. Mount before authenticate; requests without an API key fall through
+ * to the normal session check.
+ * @param {string} scope - Scope a key needs for this route group
+ * @returns {Function} Express middleware
+ */
+export const allowApiKey = (scope) => async (req, res, next) => {
+  try {
+    const rawKey = getApiKey(req);
+    if (!rawKey) return next();
+
+    const key = await ApiKeyModel.verifyKey(rawKey);
+
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked API key'
+      });
+    }
+
+    if (!ApiKeyModel.hasScope(key, scope, req.method)) {
+      return res.status(403).json({
+        success: false,
+        message: `This API key does not have the '${scope}' scope`
+      });
+    }
+
+    const profile = await loadProfile(key.user_id);
+
+    if (!profile) {
+      return res.status(401).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    if (profile.suspended_at) return accountSuspended(res);
+
+    req.user = {
+      id: key.user_id,
+      email: profile.email,
+      username: profile.username,
+      status: profile.status,
+      role: profile.role
+    };
+    req.apiKey = { id: key.id, scopes: key.scopes };
+
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to authenticate request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Verify the Supabase access token and attach the caller's profile as req.user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const authenticate = async (req, res, next) => {
+  // Already authenticated by allowApiKey
+  if (req.apiKey) return next();
+
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication token is required'
+      });
+    }
+
+    // Validate the access token against Supabase Auth
+    const { data, error } = await supabase.auth.getUser(token);
+
+    if (error || !data?.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired authentication token'
+      });
+    }
+
+    const profile = await loadProfile(data.user.id);
+
+    if (!profile) {
+      return res.status(401).json({
+        success: false,
+        message: 'User profile not found'
+      });
+    }
+
+    if (profile.suspended_at) return accountSuspended(res);
+
+    // Keep the profile email in sync after a confirmed email change
+    if (profile.email !== data.user.email) {
+      const { error: syncError } = await supabase
+        .from('profiles')
+        .update({ email: data.user.email })
+        .eq('user_id', data.user.id);
+
+      if (syncError) console.error('Failed to sync profile email:', syncError);
+    }
+
+    // Reject tokens from revoked sessions; sessions issued before tracking
+    // existed are recorded on first use. With 2FA enabled, sessions are only
+    // handed out (and recorded) by the login after the second factor, so an
+    // untracked one was signed in directly with Supabase and skipped it.
+    const sessionId = SessionModel.getSessionId(token);
+    const session = sessionId ? await SessionModel.getSession(sessionId) : null;
+
+    if (session?.revoked_at) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+
+    if (session) {
+      await SessionModel.touchSession(session, { ipAddress: req.ip });
+    } else if (sessionId) {
+      if (await MfaModel.isEnabled(data.user.id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Two-factor authentication is required, please log in again'
+        });
+      }
+
+      await SessionModel.recordSession({
+        userId: data.user.id,
+        accessToken: token,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+    }
+
+    req.user = {
+      id: data.user.id,
+      email: data.user.email,
+      username: profile.username,
+      status: profile.status,
+      role: profile.role,
+      // Privileged routes stay closed until the user enrolls in required 2FA
+      mfaEnrollmentRequired: await MfaModel.isEnrollmentRequired({ id: data.user.id, role: profile.role })
+    };
+    req.accessToken = token;
+    req.sessionId = sessionId;
+
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to authenticate request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+export default authenticate;
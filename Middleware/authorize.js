@@ -0,0 +1,106 @@
+import { hasPermission } from '../Utils/permissions.js';
+import WorkspaceModel from '../Models/WorkspaceModel.js';
+
+/**
+ * Send the standard 403 response
+ * @param {Object} res - Express response object
+ */
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'You do not have permission to perform this action'
+});
+
+/**
+ * Send the 403 response for users who must enroll in 2FA first
+ * @param {Object} res - Express response object
+ */
+const mfaEnrollmentRequired = (res) => res.status(403).json({
+  success: false,
+  message: 'Two-factor authentication is required for your role. Please enroll before continuing.'
+});
+
+/**
+ * Allow the request only if the authenticated user has one of the given roles.
+ * Must be mounted after authenticate.
+ * @param {...string} roles - Allowed profile roles
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return forbidden(res);
+  }
+
+  if (req.user.mfaEnrollmentRequired) return mfaEnrollmentRequired(res);
+
+  next();
+};
+
+/**
+ * Allow the request only if the authenticated user holds every given permission.
+ * Must be mounted after authenticate.
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} Express middleware
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.every(permission => hasPermission(req.user, permission))) {
+    return forbidden(res);
+  }
+
+  if (req.user.mfaEnrollmentRequired) return mfaEnrollmentRequired(res);
+
+  next();
+};
+
+/**
+ * Allow the request if the route targets the authenticated user themselves
+ * (req.params[param] matches their ID), or if they hold the given permission.
+ * Must be mounted after authenticate.
+ * @param {string} param - Route parameter holding the target user ID
+ * @param {string} permission - Permission that grants access to other users
+ * @returns {Function} Express middleware
+ */
+export const requireSelfOrPermission = (param, permission) => (req, res, next) => {
+  if (!req.user) return forbidden(res);
+
+  if (req.params[param] === req.user.id) return next();
+
+  if (hasPermission(req.user, permission)) {
+    if (req.user.mfaEnrollmentRequired) return mfaEnrollmentRequired(res);
+    return next();
+  }
+
+  forbidden(res);
+};
+
+/**
+ * Allow the request only if the authenticated user has at least the given
+ * role in the workspace named by req.params.workspaceId. Non-members get a
+ * 404 so workspace IDs are not disclosed. Sets req.workspaceRole.
+ * Must be mounted after authenticate.
+ * @param {string} minimumRole - 'viewer', 'editor' or 'owner'
+ * @returns {Function} Express middleware
+ */
+export const requireWorkspaceRole = (minimumRole) => async (req, res, next) => {
+  try {
+    const role = await WorkspaceModel.getMemberRole(req.params.workspaceId, req.user.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    if (!WorkspaceModel.isAtLeast(role, minimumRole)) return forbidden(res);
+
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    console.error('Error checking workspace role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify workspace access',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,237 @@
+/**
+ * Rate limiting keyed by user (or IP for unauthenticated requests) with
+ * limits that depend on the profile status (free/pro).
+ *
+ * A store is any object implementing:
+ *   increment(key, windowMs) => Promise<{ count: number, resetAt: number }>
+ *     Count a hit for key in the current fixed window and return the hit
+ *     count and the epoch millisecond time the window ends.
+ *   get(key) => Promise<{ count: number, resetAt: number }|null>
+ *     The hit count of key in the current window, without counting a hit,
+ *     or null if there is none.
+ *   reset(key) => Promise<void>
+ *
+ * The in-memory store below is fine for a single node; a shared store
+ * (e.g. Redis) can be swapped in with setRateLimitStore().
+ */
+
+/**
+ * Create an in-memory fixed-window store
+ * @returns {Object} Rate limit store
+ */
+export const createMemoryStore = () => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = hits.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+
+      entry.count++;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = hits.get(key);
+      if (!entry || entry.resetAt <= Date.now()) return null;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    }
+  };
+};
+
+let defaultStore = createMemoryStore();
+
+/**
+ * Replace the store used by limiters that were not given their own
+ * @param {Object} store - Rate limit store
+ */
+export const setRateLimitStore = (store) => {
+  defaultStore = store;
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Namespace for the counters of this limiter
+ * @param {number} options.windowMs - Length of the window
+ * @param {Object} options.limits - Requests allowed per window by profile
+ *   status ('free', 'pro') and for unauthenticated callers ('anonymous')
+ * @param {Object} [options.store] - Store to use instead of the default
+ * @returns {Function} Express middleware, with a consume(req, res) method
+ *   to charge hits from inside a handler instead, and a requireRemaining
+ *   middleware to go with it
+ */
+export const rateLimit = ({ name, windowMs, limits, store }) => {
+  /**
+   * Get the limit and counter key for the caller of a request
+   * @returns {{ limit: number|undefined, key: string }}
+   */
+  const resolve = (req) => ({
+    limit: req.user
+      ? limits[req.user.status] ?? limits.free
+      : limits.anonymous,
+    key: req.user ? `${name}:user:${req.user.id}` : `${name}:ip:${req.ip}`
+  });
+
+  /**
+   * Set the rate limit headers for a hit count
+   * @returns {{ allowed: boolean, resetSeconds: number }}
+   */
+  const report = (res, limit, { count, resetAt }, allowed) => {
+    const remaining = Math.max(0, limit - count);
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`
+    });
+
+    if (!allowed) res.set('Retry-After', String(resetSeconds));
+
+    return { allowed, resetSeconds };
+  };
+
+  /**
+   * Count a hit for the caller of a request and set the rate limit headers
+   * @returns {Promise<{ allowed: boolean, resetSeconds?: number }>}
+   */
+  const hit = async (req, res) => {
+    const { limit, key } = resolve(req);
+
+    // No limit configured for this kind of caller
+    if (!limit) return { allowed: true };
+
+    const current = await (store || defaultStore).increment(key, windowMs);
+    return report(res, limit, current, current.count <= limit);
+  };
+
+  /**
+   * Check that the caller of a request has a hit left, without counting one
+   * @returns {Promise<{ allowed: boolean, resetSeconds?: number }>}
+   */
+  const peek = async (req, res) => {
+    const { limit, key } = resolve(req);
+    if (!limit) return { allowed: true };
+
+    const current = await (store || defaultStore).get(key);
+    if (!current) return { allowed: true };
+
+    return report(res, limit, current, current.count < limit);
+  };
+
+  /**
+   * Wrap a check in an Express middleware that responds 429 when it fails
+   */
+  const guard = (check) => async (req, res, next) => {
+    try {
+      const { allowed, resetSeconds } = await check(req, res);
+
+      if (!allowed) {
+        return res.status(429).json({
+          success: false,
+          message: `Too many requests. Please try again in ${resetSeconds} seconds.`
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never block traffic because the limiter itself failed
+      console.error('Rate limiter error:', error);
+      next();
+    }
+  };
+
+  const middleware = guard(hit);
+
+  /**
+   * Charge one hit from inside a handler, for requests that do several
+   * limited things at once (e.g. one hit per file of a batch upload)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<{ allowed: boolean, resetSeconds?: number }>}
+   */
+  middleware.consume = async (req, res) => {
+    try {
+      return await hit(req, res);
+    } catch (error) {
+      console.error('Rate limiter error:', error);
+      return { allowed: true };
+    }
+  };
+
+  /**
+   * Refuse a request up front, without charging a hit, when the caller has
+   * no hits left. Mounted before handlers that charge with consume() so they
+   * do not receive and parse a request that would be refused anyway.
+   */
+  middleware.requireRemaining = guard(peek);
+
+  return middleware;
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Login attempts per IP
+export const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * MINUTE,
+  limits: { anonymous: 10 }
+});
+
+// Signups, password resets and verification emails per IP
+export const accountEmailLimiter = rateLimit({
+  name: 'account-email',
+  windowMs: HOUR,
+  limits: { anonymous: 5 }
+});
+
+// Session refreshes per IP
+export const refreshLimiter = rateLimit({
+  name: 'refresh',
+  windowMs: 15 * MINUTE,
+  limits: { anonymous: 60 }
+});
+
+// Chat messages (each one is an OpenAI completion)
+export const messageLimiter = rateLimit({
+  name: 'chat-message',
+  windowMs: HOUR,
+  limits: { free: 30, pro: 300 }
+});
+
+// Document uploads (each one is extraction plus embeddings). Batch uploads
+// charge every file they store with uploadLimiter.consume(), after
+// uploadLimiter.requireRemaining has turned away callers with none left.
+export const uploadLimiter = rateLimit({
+  name: 'document-upload',
+  windowMs: HOUR,
+  limits: { free: 10, pro: 100 }
+});
+
+// Summaries and analyses (each one is several OpenAI completions)
+export const summaryLimiter = rateLimit({
+  name: 'document-summary',
+  windowMs: HOUR,
+  limits: { free: 10, pro: 100 }
+});
@@ -0,0 +1,153 @@
+import supabase from '../Utils/supabaseClient.js';
+import crypto from 'crypto';
+
+// Every key starts with this so it can be told apart from session tokens
+export const API_KEY_PREFIX = 'dsk_';
+
+/**
+ * Scopes a key can be granted:
+ * - read: GET access to documents and chats
+ * - documents: full access to /api/documents
+ * - chats: full access to /api/chats
+ */
+export const API_KEY_SCOPES = ['read', 'documents', 'chats'];
+
+// Only write last_used_at once per interval to avoid a DB write per request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash a raw API key for storage and lookup
+ */
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+/**
+ * Shape a stored key for API responses (never includes the hash)
+ */
+const formatKey = (key) => ({
+  id: key.id,
+  name: key.name,
+  prefix: key.key_prefix,
+  scopes: key.scopes,
+  lastUsedAt: key.last_used_at,
+  createdAt: key.created_at,
+  revokedAt: key.revoked_at
+});
+
+const ApiKeyModel = {
+  /**
+   * Create a new API key. The raw key is only returned here.
+   * @param {string} userId
+   * @param {Object} options
+   * @param {string} options.name - Label chosen by the user
+   * @param {string[]} options.scopes - Subset of API_KEY_SCOPES
+   * @returns {Promise<Object>} The key details plus the raw key
+   */
+  async createKey(userId, { name, scopes }) {
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new Error(`Invalid scopes: ${invalidScopes.join(', ')}. Valid scopes are: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const rawKey = `${API_KEY_PREFIX}${prefix}_${secret}`;
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        user_id: userId,
+        name,
+        key_prefix: `${API_KEY_PREFIX}${prefix}`,
+        key_hash: hashKey(rawKey),
+        scopes: [...new Set(scopes)]
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { ...formatKey(data), key: rawKey };
+  },
+
+  /**
+   * List a user's keys that have not been revoked
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getUserKeys(userId) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data.map(formatKey);
+  },
+
+  /**
+   * Revoke a key
+   * @param {string} userId
+   * @param {string} keyId
+   * @returns {Promise<Object|null>} The revoked key, or null if not found
+   */
+  async revokeKey(userId, keyId) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? formatKey(data) : null;
+  },
+
+  /**
+   * Look up an active key from its raw value and record its use
+   * @param {string} rawKey
+   * @returns {Promise<Object|null>} The stored key, or null if unknown or revoked
+   */
+  async verifyKey(rawKey) {
+    if (!rawKey?.startsWith(API_KEY_PREFIX)) return null;
+
+    const { data: key, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', hashKey(rawKey))
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!key) return null;
+
+    const lastUsed = key.last_used_at ? new Date(key.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed >= LAST_USED_INTERVAL_MS) {
+      const { error: updateError } = await supabase
+        .from('api_keys')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', key.id);
+
+      if (updateError) console.error('Failed to update API key last used:', updateError);
+    }
+
+    return key;
+  },
+
+  /**
+   * Check whether a key may make a request against a route group
+   * @param {Object} key - Stored key
+   * @param {string} scope - Scope required by the route group
+   * @param {string} method - HTTP method of the request
+   * @returns {boolean}
+   */
+  hasScope(key, scope, method) {
+    if (key.scopes.includes(scope)) return true;
+    return key.scopes.includes('read') && ['GET', 'HEAD'].includes(method);
+  }
+};
+
+export default ApiKeyModel;
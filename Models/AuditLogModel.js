@@ -0,0 +1,125 @@
+import supabase from '../Utils/supabaseClient.js';
+import { afterCursorFilter, encodeCursor } from '../Utils/pagination.js';
+
+// Columns included in CSV exports, in order
+const CSV_COLUMNS = ['created_at', 'actor_id', 'actor_email', 'action', 'target_type', 'target_id', 'ip_address', 'user_agent', 'before', 'after'];
+
+/**
+ * Escape a value for a CSV cell. Cells that spreadsheets would run as a
+ * formula (starting with =, +, -, @, tab or carriage return) are prefixed
+ * with a quote so they are shown as text.
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Escape the LIKE wildcards (% and _) and the escape character in a value
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const AuditLogModel = {
+  /**
+   * Record an administrative or billing action. Failures are logged rather
+   * than thrown so a logging problem never undoes the action itself.
+   * @param {Object} req - Express request of the action (actor, IP, user agent)
+   * @param {Object} entry
+   * @param {string} entry.action - e.g. 'plan.update', 'coupon.delete'
+   * @param {string} entry.targetType - e.g. 'plan', 'coupon', 'user'
+   * @param {string} entry.targetId
+   * @param {Object} [entry.before] - Snapshot before the change
+   * @param {Object} [entry.after] - Snapshot after the change
+   * @returns {Promise<Object|null>}
+   */
+  async record(req, { action, targetType, targetId, before = null, after = null }) {
+    try {
+      const { data, error } = await supabase
+        .from('audit_logs')
+        .insert({
+          actor_id: req.user?.id || null,
+          actor_email: req.user?.email || null,
+          action,
+          target_type: targetType,
+          target_id: targetId ? String(targetId) : null,
+          before,
+          after,
+          ip_address: req.ip || null,
+          user_agent: req.get?.('user-agent') || null
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error(`Failed to record audit log for ${action}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Query audit log entries, newest first
+   * @param {Object} filters
+   * @param {string} filters.actorId
+   * @param {string} filters.action - Exact action, or a prefix ending in '*' (e.g. 'plan.*')
+   * @param {string} filters.targetType
+   * @param {string} filters.targetId
+   * @param {string} filters.from - ISO date, inclusive
+   * @param {string} filters.to - ISO date, inclusive
+   * @param {number} filters.limit - Page size
+   * @param {string} filters.cursor - nextCursor from the previous page
+   * @returns {Promise<{ entries: Array, nextCursor: string|null }>}
+   */
+  async getLogs({ actorId, action, targetType, targetId, from, to, limit = 50, cursor } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 1000);
+
+    // Entries recorded in the same instant are ordered by ID, so paging
+    // neither skips nor repeats them
+    let query = supabase
+      .from('audit_logs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(pageSize + 1);
+
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', targetId);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+    if (cursor) query = query.or(afterCursorFilter(cursor, 'created_at', 'id', false));
+
+    if (action) {
+      query = action.endsWith('*')
+        ? query.like('action', `${escapeLike(action.slice(0, -1))}%`)
+        : query.eq('action', action);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to fetch audit logs: ${error.message}`);
+
+    const entries = data.slice(0, pageSize);
+    const last = entries[entries.length - 1];
+
+    return {
+      entries,
+      nextCursor: data.length > pageSize ? encodeCursor(last.created_at, last.id) : null
+    };
+  },
+
+  /**
+   * Convert audit log entries to CSV
+   * @param {Array} entries
+   * @returns {string}
+   */
+  toCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => toCsvCell(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+};
+
+export default AuditLogModel;
@@ -1,4 +1,40 @@
-import supabase from '../Utils/supabaseClient.js';
+import supabase, { createAuthClient } from '../Utils/supabaseClient.js';
+import SessionModel from './SessionModel.js';
+import StripeModel from './StripeModel.js';
+import MfaModel from './MfaModel.js';
+import WorkspaceModel from './WorkspaceModel.js';
+import DocumentModel from './DocumentModel.js';
+import { getDocumentStorage } from '../Utils/storage.js';
+import { afterCursorFilter, encodeCursor } from '../Utils/pagination.js';
+import fs from 'fs';
+
+// Days a deleted account can still be restored
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10);
+
+// Profile columns users can be sorted by
+const USER_SORT_FIELDS = ['created_at', 'email', 'username'];
+
+/**
+ * Delete all rows of a table whose column matches one of the given values
+ */
+const deleteRows = async (table, column, values) => {
+  const { error } = await supabase
+    .from(table)
+    .delete()
+    .in(column, values);
+
+  if (error) throw new Error(`Failed to delete ${table}: ${error.message}`);
+};
+
+/**
+ * End the session just issued to a suspended account and refuse the login
+ */
+const rejectSuspendedLogin = async (session) => {
+  await supabase.auth.admin.signOut(session.access_token, 'local');
+  const suspendedError = new Error('This account has been suspended');
+  suspendedError.code = 'account_suspended';
+  throw suspendedError;
+};
 
 const AuthModel = {
   /**
@@ -9,9 +45,9 @@ const AuthModel = {
    * @param {string} userData.userName  
    * @returns {Promise}  
    */
-  async signup({ email, password, userName, role }) {
+  async signup({ email, password, userName }) {
     // Register the user with Supabase Auth
-    const { data: authData, error: authError } = await supabase.auth.signUp({
+    const { data: authData, error: authError } = await createAuthClient().auth.signUp({
       email,
       password
     });
@@ -26,7 +62,8 @@ const AuthModel = {
           email,
           username: userName,
           status: 'free',
-          role: role === 'admin' ? 'admin' : 'user'
+          // Admin roles are granted by an existing admin, never at signup
+          role: 'user'
         });
 
       if (profileError) throw profileError;
@@ -40,11 +77,14 @@ const AuthModel = {
    * @param {Object} credentials  
    * @param {string} credentials.email  
    * @param {string} credentials.password  
+   * @param {Object} client - Details of the device signing in
+   * @param {string} client.userAgent
+   * @param {string} client.ipAddress
    * @returns {Promise}  
    */
-  async login({ email, password }) {
+  async login({ email, password }, { userAgent, ipAddress } = {}) {
     // Step 1: Sign in with Supabase Auth
-    const { data, error } = await supabase.auth.signInWithPassword({
+    const { data, error } = await createAuthClient().auth.signInWithPassword({
       email,
       password
     });
@@ -59,13 +99,70 @@ const AuthModel = {
     // Step 2: Fetch profile data (username, status)
     const { data: profile, error: profileError } = await supabase
       .from('profiles')
-      .select('username, status, role')
+      .select('username, status, role, suspended_at')
       .eq('user_id', user.id)
       .single();
 
     if (profileError) throw profileError;
 
-    // Step 3: Return merged data
+    if (profile.suspended_at) await rejectSuspendedLogin(session);
+
+    // Step 3: Hold the session back until the second factor is verified
+    if (await MfaModel.isEnabled(user.id)) {
+      const mfaToken = await MfaModel.createChallenge(user.id, session);
+
+      return {
+        mfaRequired: true,
+        mfaToken,
+        user: { id: user.id, email: user.email }
+      };
+    }
+
+    // Step 4: Track the session and return merged data
+    return this.completeLogin(user, profile, session, { userAgent, ipAddress });
+  },
+
+  /**
+   * Finish a login that required a second factor
+   * @param {string} mfaToken - Challenge token returned by login
+   * @param {string} code - TOTP or recovery code
+   * @param {Object} client - Details of the device signing in
+   * @returns {Promise}
+   */
+  async loginWithMfa(mfaToken, code, client = {}) {
+    const { userId, session } = await MfaModel.completeChallenge(mfaToken, code);
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('username, status, role, suspended_at')
+      .eq('user_id', userId)
+      .single();
+
+    if (profileError) throw profileError;
+
+    // The account may have been suspended since the password step
+    if (profile.suspended_at) await rejectSuspendedLogin(session);
+
+    return this.completeLogin(session.user, profile, session, client);
+  },
+
+  /**
+   * Record a new session and build the login response data
+   * @param {Object} user - Supabase Auth user
+   * @param {Object} profile - Profile row
+   * @param {Object} session - Supabase session
+   * @param {Object} client - Details of the device signing in
+   * @returns {Promise}
+   */
+  async completeLogin(user, profile, session, { userAgent, ipAddress } = {}) {
+    // Track the session so it can be listed and revoked
+    await SessionModel.recordSession({
+      userId: user.id,
+      accessToken: session.access_token,
+      userAgent,
+      ipAddress
+    });
+
     return {
       user: {
         id: user.id,
@@ -74,7 +171,9 @@ const AuthModel = {
         status: profile.status,
         role: profile.role
       },
-      session
+      session,
+      // Role requires 2FA but the user has not enrolled yet
+      mfaEnrollmentRequired: await MfaModel.isEnrollmentRequired({ id: user.id, role: profile.role })
     };
   },
 
@@ -98,21 +197,180 @@ const AuthModel = {
   },
 
   /**
- * Get all user profiles
+ * Search user profiles with filters and cursor paging
+ * @param {Object} options
+ * @param {string} options.search - Matches email or username
+ * @param {string} options.role - 'admin' or 'user'
+ * @param {string} options.status - Plan status, 'free' or 'pro'
+ * @param {boolean} options.suspended - Only suspended (true) or active (false) accounts
+ * @param {string} options.sort - One of USER_SORT_FIELDS
+ * @param {string} options.order - 'asc' or 'desc'
+ * @param {number} options.limit - Page size
+ * @param {string} options.cursor - nextCursor from the previous page
+ * @returns {Promise<{ users: Array, nextCursor: string|null }>}
  */
-  async getAllUsers() {
-    const { data, error } = await supabase
+  async getAllUsers({
+    search,
+    role,
+    status,
+    suspended,
+    sort = 'created_at',
+    order = 'desc',
+    limit = 25,
+    cursor
+  } = {}) {
+    if (!USER_SORT_FIELDS.includes(sort)) {
+      throw new Error(`Invalid sort field. Must be one of: ${USER_SORT_FIELDS.join(', ')}`);
+    }
+
+    const ascending = order === 'asc';
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 25, 1), 100);
+
+    let query = supabase
       .from('profiles')
       .select('*')
-      .order('created_at', { ascending: false });
+      .order(sort, { ascending })
+      .order('user_id', { ascending })
+      .limit(pageSize + 1);
+
+    if (role) query = query.eq('role', role);
+    if (status) query = query.eq('status', status);
+    if (suspended === true) query = query.not('suspended_at', 'is', null);
+    if (suspended === false) query = query.is('suspended_at', null);
+
+    const orFilters = [];
+
+    if (search) {
+      // Characters with a meaning in PostgREST filter syntax are dropped
+      const term = search.replace(/[%*,()"\\]/g, '').trim();
+      if (term) orFilters.push(`or(email.ilike.*${term}*,username.ilike.*${term}*)`);
+    }
+
+    if (cursor) orFilters.push(afterCursorFilter(cursor, sort, 'user_id', ascending));
+
+    if (orFilters.length > 0) {
+      query = query.or(`and(${orFilters.join(',')})`);
+    }
+
+    const { data, error } = await query;
 
     if (error) {
       throw new Error(`Failed to fetch users: ${error.message}`);
     }
 
+    const users = data.slice(0, pageSize);
+    const last = users[users.length - 1];
+
+    return {
+      users,
+      nextCursor: data.length > pageSize ? encodeCursor(last[sort], last.user_id) : null
+    };
+  },
+
+  /**
+   * Suspend an account: blocks login, session tokens and API keys
+   * @param {string} userId
+   * @param {Object} options
+   * @param {string} options.reason
+   * @param {string} options.suspendedBy - ID of the admin
+   * @returns {Promise<Object>} The updated profile
+   */
+  async suspendUser(userId, { reason, suspendedBy }) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({
+        suspended_at: new Date().toISOString(),
+        suspended_reason: reason || null,
+        suspended_by: suspendedBy
+      })
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    // Ban in Supabase Auth as well so existing refresh tokens stop working
+    const { error: banError } = await supabase.auth.admin.updateUserById(userId, {
+      ban_duration: '876000h'
+    });
+
+    if (banError) throw banError;
+
+    await SessionModel.revokeAllSessions(userId);
+
+    return data;
+  },
+
+  /**
+   * Lift the suspension of an account
+   * @param {string} userId
+   * @returns {Promise<Object>} The updated profile
+   */
+  async unsuspendUser(userId) {
+    const { error: unbanError } = await supabase.auth.admin.updateUserById(userId, {
+      ban_duration: 'none'
+    });
+
+    if (unbanError) throw unbanError;
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({
+        suspended_at: null,
+        suspended_reason: null,
+        suspended_by: null
+      })
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
     return data;
   },
 
+  /**
+   * Promote or demote a user
+   * @param {string} userId
+   * @param {string} role - 'admin' or 'user'
+   * @returns {Promise<Object>} The updated profile
+   */
+  async changeUserRole(userId, role) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({ role })
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  },
+
+  /**
+   * Count what a user owns
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getUserStats(userId) {
+    const countRows = async (table) => {
+      const { count, error } = await supabase
+        .from(table)
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+      if (error) throw new Error(`Failed to count ${table}: ${error.message}`);
+      return count;
+    };
+
+    const [documents, chats, subscriptions] = await Promise.all([
+      countRows('documents'),
+      countRows('chats'),
+      countRows('subscriptions')
+    ]);
+
+    return { userId, documents, chats, subscriptions };
+  },
+
   /**
 * Change Username
 * @param {string} user-id
@@ -136,11 +394,183 @@ const AuthModel = {
 
 
   /**
-   * Log out the current user
+   * Exchange a refresh token for a new session
+   * @param {string} refreshToken
+   * @param {Object} client - Details of the device refreshing
+   * @param {string} client.userAgent
+   * @param {string} client.ipAddress
+   * @returns {Promise<Object>} The new session
+   */
+  async refreshSession(refreshToken, { userAgent, ipAddress } = {}) {
+    const { data, error } = await createAuthClient().auth.refreshSession({
+      refresh_token: refreshToken
+    });
+
+    if (error) throw error;
+    if (!data.session) throw new Error('Failed to refresh session');
+
+    const { session } = data;
+    const storedSession = await SessionModel.getSession(SessionModel.getSessionId(session.access_token));
+
+    // A revoked session must not be kept alive through its refresh token
+    if (storedSession?.revoked_at) {
+      await supabase.auth.admin.signOut(session.access_token, 'local');
+      throw new Error('Session has been revoked');
+    }
+
+    if (storedSession) {
+      await SessionModel.touchSession(storedSession, { ipAddress });
+      return session;
+    }
+
+    // Sessions issued before tracking existed are recorded on first use, as
+    // in the auth middleware, unless they skipped a second factor
+    if (await MfaModel.isEnabled(session.user.id)) {
+      await supabase.auth.admin.signOut(session.access_token, 'local');
+      throw new Error('Two-factor authentication is required');
+    }
+
+    await SessionModel.recordSession({
+      userId: session.user.id,
+      accessToken: session.access_token,
+      userAgent,
+      ipAddress
+    });
+
+    return session;
+  },
+
+  /**
+   * Log out the current session
+   * @param {string} userId
+   * @param {string} accessToken - Access token of the session to end
    * @returns {Promise} - Promise resolving to logout result
    */
-  async logout() {
-    const { error } = await supabase.auth.signOut();
+  async logout(userId, accessToken) {
+    // Revokes the refresh token of this session only
+    const { error } = await supabase.auth.admin.signOut(accessToken, 'local');
+
+    if (error) throw error;
+
+    await SessionModel.revokeSession(userId, SessionModel.getSessionId(accessToken));
+
+    return { success: true };
+  },
+
+  /**
+   * List the active sessions of a user
+   * @param {string} userId
+   * @param {string} currentAccessToken - Used to flag the caller's own session
+   * @returns {Promise<Array>}
+   */
+  async getSessions(userId, currentAccessToken) {
+    const currentSessionId = SessionModel.getSessionId(currentAccessToken);
+    const sessions = await SessionModel.getActiveSessions(userId);
+
+    return sessions.map(session => ({
+      id: session.session_id,
+      device: session.device,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastSeenAt: session.last_seen_at,
+      current: session.session_id === currentSessionId
+    }));
+  },
+
+  /**
+   * Revoke one of the user's sessions
+   * @param {string} userId
+   * @param {string} sessionId - Session to revoke
+   * @param {string} currentAccessToken - Access token of the caller
+   * @returns {Promise<boolean>} False if the session was not found
+   */
+  async revokeSession(userId, sessionId, currentAccessToken) {
+    if (sessionId === SessionModel.getSessionId(currentAccessToken)) {
+      await this.logout(userId, currentAccessToken);
+      return true;
+    }
+
+    const revoked = await SessionModel.revokeSession(userId, sessionId);
+    return !!revoked;
+  },
+
+  /**
+   * Revoke every session of the user except the current one
+   * @param {string} userId
+   * @param {string} currentAccessToken - Access token of the session to keep
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeOtherSessions(userId, currentAccessToken) {
+    const { error } = await supabase.auth.admin.signOut(currentAccessToken, 'others');
+
+    if (error) throw error;
+
+    return SessionModel.revokeAllSessions(userId, SessionModel.getSessionId(currentAccessToken));
+  },
+
+  /**
+   * Send a password reset email. The email template should link to the
+   * front end with the recovery token hash ({{ .TokenHash }}).
+   * @param {string} email
+   * @returns {Promise}
+   */
+  async requestPasswordReset(email) {
+    const { error } = await createAuthClient().auth.resetPasswordForEmail(email, {
+      redirectTo: process.env.PASSWORD_RESET_REDIRECT_URL
+    });
+
+    if (error) throw error;
+
+    return { success: true };
+  },
+
+  /**
+   * Complete a password reset with the token hash from the reset email
+   * @param {string} tokenHash - Recovery token hash from the email link
+   * @param {string} newPassword
+   * @returns {Promise}
+   */
+  async resetPassword(tokenHash, newPassword) {
+    // Step 1: Exchange the recovery token for a session
+    const { data, error } = await createAuthClient().auth.verifyOtp({
+      token_hash: tokenHash,
+      type: 'recovery'
+    });
+
+    if (error) throw error;
+    if (!data.user) throw new Error('Invalid or expired reset token');
+
+    // Step 2: Set the new password
+    const { error: updateError } = await supabase.auth.admin.updateUserById(data.user.id, {
+      password: newPassword
+    });
+
+    if (updateError) throw updateError;
+
+    // Step 3: Sign out every session, including the one created by the recovery link
+    if (data.session) {
+      const { error: signOutError } = await supabase.auth.admin.signOut(data.session.access_token, 'global');
+      if (signOutError) console.error('Failed to sign out sessions after password reset:', signOutError);
+    }
+    await SessionModel.revokeAllSessions(data.user.id);
+
+    return { success: true };
+  },
+
+  /**
+   * Resend the signup verification email
+   * @param {string} email
+   * @returns {Promise}
+   */
+  async resendVerification(email) {
+    const { error } = await createAuthClient().auth.resend({
+      type: 'signup',
+      email,
+      options: {
+        emailRedirectTo: process.env.EMAIL_VERIFICATION_REDIRECT_URL
+      }
+    });
 
     if (error) throw error;
 
@@ -148,25 +578,253 @@ const AuthModel = {
   },
 
   /**
-  * Delete a user account by ID
+   * Request an email change for the signed-in user. Supabase sends a
+   * confirmation link and only switches the address once it is confirmed;
+   * the profile email is synced on the next authenticated request.
+   * @param {string} accessToken - Access token of the user
+   * @param {string} newEmail
+   * @returns {Promise}
+   */
+  async changeEmail(accessToken, newEmail) {
+    // The update has to be made as the user (not the service role) so that
+    // Supabase Auth sends the re-verification email instead of applying it
+    const url = new URL(`${process.env.SUPABASE_URL}/auth/v1/user`);
+    if (process.env.EMAIL_VERIFICATION_REDIRECT_URL) {
+      url.searchParams.set('redirect_to', process.env.EMAIL_VERIFICATION_REDIRECT_URL);
+    }
+
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers: {
+        apikey: process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY,
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ email: newEmail })
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(result.msg || result.error_description || result.message || 'Failed to change email');
+    }
+
+    return {
+      email: result.email,
+      newEmail: result.new_email || newEmail
+    };
+  },
+
+  /**
+   * Schedule an account for deletion after the grace period
+   * @param {string} userId - The ID of the user to delete
+   * @param {string} requestedBy - The ID of the user making the request
+   * @returns {Promise<Object>} The deletion receipt
+   */
+  async requestAccountDeletion(userId, requestedBy) {
+    const existing = await this.getAccountDeletion(userId);
+    if (existing?.status === 'pending') return existing;
+
+    const profile = await this.getUserById(userId);
+    const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+      .from('account_deletions')
+      .insert({
+        user_id: userId,
+        email: profile.email,
+        requested_by: requestedBy,
+        status: 'pending',
+        scheduled_for: scheduledFor.toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Cancel a pending account deletion during the grace period
+   * @param {string} userId
+   * @returns {Promise<Object|null>} The cancelled receipt, or null if nothing was pending
+   */
+  async cancelAccountDeletion(userId) {
+    const { data, error } = await supabase
+      .from('account_deletions')
+      .update({
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString()
+      })
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get the latest deletion receipt for a user
+   * @param {string} userId
+   * @returns {Promise<Object|null>}
+   */
+  async getAccountDeletion(userId) {
+    const { data, error } = await supabase
+      .from('account_deletions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('requested_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Delete every pending account whose grace period has ended
+   * @returns {Promise<number>} Number of accounts processed
+   */
+  async processDueDeletions() {
+    const { data: due, error } = await supabase
+      .from('account_deletions')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('scheduled_for', new Date().toISOString());
+
+    if (error) throw error;
+
+    for (const deletion of due) {
+      try {
+        const summary = await this.deleteAccount(deletion.user_id);
+
+        await supabase
+          .from('account_deletions')
+          .update({
+            status: 'completed',
+            completed_at: new Date().toISOString(),
+            summary
+          })
+          .eq('id', deletion.id);
+      } catch (deleteError) {
+        console.error(`Failed to delete account ${deletion.user_id}:`, deleteError);
+
+        await supabase
+          .from('account_deletions')
+          .update({ status: 'failed', error: deleteError.message })
+          .eq('id', deletion.id);
+      }
+    }
+
+    return due.length;
+  },
+
+  /**
+  * Delete a user account by ID, along with everything the user owns
   * @param {string} userId - The ID of the user to delete
-  * @returns {Promise<void>}
+  * @returns {Promise<Object>} Counts of what was removed
   */
   async deleteAccount(userId) {
-    // Step 1: Delete from Supabase Auth (admin operation)
-    const { error: deleteAuthError } = await supabase.auth.admin.deleteUser(userId);
+    // Step 1: Stop billing before anything else is removed
+    const billing = await StripeModel.cancelUserBilling(userId);
 
-    if (deleteAuthError) throw deleteAuthError;
+    // Step 2: Leave shared workspaces, handing documents to a remaining owner
+    const abandonedWorkspaceIds = await WorkspaceModel.handOverUserWorkspaces(userId);
 
-    // Step 2: Optionally delete related profile data
-    const { error: deleteProfileError } = await supabase
-      .from('profiles')
-      .delete()
+    // Step 3: Collect the user's personal documents and chats, plus
+    // everything in workspaces nobody else is left in. Documents in other
+    // workspaces were handed over and stay there.
+    let documentsQuery = supabase
+      .from('documents')
+      .select('id, file_path, storage_backend');
+
+    documentsQuery = abandonedWorkspaceIds.length > 0
+      ? documentsQuery.or(`and(user_id.eq.${userId},workspace_id.is.null),workspace_id.in.(${abandonedWorkspaceIds.join(',')})`)
+      : documentsQuery.eq('user_id', userId).is('workspace_id', null);
+
+    const { data: documents, error: documentsError } = await documentsQuery;
+
+    if (documentsError) throw documentsError;
+
+    const documentIds = documents.map(document => document.id);
+
+    let chatsQuery = supabase
+      .from('chats')
+      .select('id');
+
+    // Chats of former members may still point at the documents being removed
+    chatsQuery = documentIds.length > 0
+      ? chatsQuery.or(`user_id.eq.${userId},document_id.in.(${documentIds.join(',')})`)
+      : chatsQuery.eq('user_id', userId);
+
+    const { data: chats, error: chatsError } = await chatsQuery;
+
+    if (chatsError) throw chatsError;
+
+    const { data: exports, error: exportsError } = await supabase
+      .from('data_exports')
+      .select('file_path')
       .eq('user_id', userId);
 
-    if (deleteProfileError) throw deleteProfileError;
+    if (exportsError) throw exportsError;
+
+    const chatIds = chats.map(chat => chat.id);
+
+    // Step 4: Delete owned rows, children first
+    if (chatIds.length > 0) {
+      await deleteRows('chat_messages', 'chat_id', chatIds);
+      await deleteRows('chats', 'id', chatIds);
+    }
+
+    if (documentIds.length > 0) {
+      // Other users' duplicates of these documents keep the embeddings
+      await DocumentModel.releaseSharedEmbeddings(documentIds);
+      await deleteRows('document_embeddings', 'document_id', documentIds);
+      await deleteRows('documents', 'id', documentIds);
+    }
 
-    return;
+    await deleteRows('coupon_usage', 'user_id', [userId]);
+    await deleteRows('subscriptions', 'user_id', [userId]);
+    await deleteRows('user_sessions', 'user_id', [userId]);
+    await deleteRows('api_keys', 'user_id', [userId]);
+    await deleteRows('user_mfa', 'user_id', [userId]);
+    await deleteRows('mfa_challenges', 'user_id', [userId]);
+    await deleteRows('data_exports', 'user_id', [userId]);
+    await deleteRows('notifications', 'user_id', [userId]);
+    await deleteRows('workspace_invitations', 'invited_by', [userId]);
+
+    for (const workspaceId of abandonedWorkspaceIds) {
+      await WorkspaceModel.deleteWorkspace(workspaceId);
+    }
+
+    // Step 5: Remove uploaded files
+    let deletedFiles = 0;
+    for (const document of documents) {
+      if (!document.file_path) continue;
+
+      await getDocumentStorage(document).remove(document.file_path);
+      deletedFiles++;
+    }
+
+    for (const exportRecord of exports) {
+      if (exportRecord.file_path) await fs.promises.rm(exportRecord.file_path, { force: true });
+    }
+
+    // Step 6: Delete the profile and the Supabase Auth user (admin operation)
+    await deleteRows('profiles', 'user_id', [userId]);
+
+    const { error: deleteAuthError } = await supabase.auth.admin.deleteUser(userId);
+
+    if (deleteAuthError) throw deleteAuthError;
+
+    return {
+      ...billing,
+      documents: documentIds.length,
+      chats: chatIds.length,
+      files: deletedFiles
+    };
   }
 };
 
@@ -1,5 +1,8 @@
 import supabase from '../Utils/supabaseClient.js';
 import { OpenAI } from 'openai';
+import DocumentModel from './DocumentModel.js';
+import WorkspaceModel from './WorkspaceModel.js';
+import { getDocumentEmbedder } from '../Utils/embeddings.js';
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -9,13 +12,29 @@ const openai = new OpenAI({
 const ChatModel = {
   /**
    * Create a new chat session
+   * @param {string} visibility - 'private', or 'shared' to let workspace members read it
    */
-  async createChat(userId, documentId, title = 'New Chat') {
+  async createChat(userId, documentId, title = 'New Chat', visibility = 'private') {
+    // Only allow chats against documents the user can access
+    const document = await DocumentModel.getDocument(documentId, userId);
+    if (!document) throw new Error('Document not found');
+
+    // Documents uploaded before ingestion tracking have no status
+    if (document.status && document.status !== 'ready') {
+      throw new Error('Document is still being processed');
+    }
+
+    if (visibility === 'shared' && !document.workspace_id) {
+      throw new Error('Only chats on workspace documents can be shared');
+    }
+
     const { data, error } = await supabase
       .from('chats')
       .insert({
         user_id: userId,
         document_id: documentId,
+        workspace_id: document.workspace_id,
+        visibility,
         title
       })
       .select()
@@ -26,18 +45,74 @@ const ChatModel = {
   },
 
   /**
-   * Get chats for a user
+   * Get chats for a user. Without a workspace this is every chat the user
+   * started; within a workspace it is their own chats plus shared ones.
+   * @param {string} userId
+   * @param {string|null} workspaceId
    */
-  async getUserChats(userId) {
-    const { data, error } = await supabase
+  async getUserChats(userId, workspaceId = null) {
+    let query = supabase
       .from('chats')
       .select(`
         *,
         documents (filename)
       `)
-      .eq('user_id', userId)
       .order('updated_at', { ascending: false });
 
+    query = workspaceId
+      ? query.eq('workspace_id', workspaceId).or(`user_id.eq.${userId},visibility.eq.shared`)
+      : query.eq('user_id', userId);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Check whether a user can read a chat: their own chats, and shared chats
+   * of workspaces they belong to. Workspace chats, their own included, are
+   * only open while they are still a member.
+   * @param {Object} chat - Row with user_id, workspace_id and visibility
+   * @param {string} userId
+   * @returns {Promise<boolean>}
+   */
+  async canAccessChat(chat, userId) {
+    if (!chat.workspace_id) return chat.user_id === userId;
+    if (chat.user_id !== userId && chat.visibility !== 'shared') return false;
+
+    return WorkspaceModel.hasRole(chat.workspace_id, userId, 'viewer');
+  },
+
+  /**
+   * Share a workspace chat with the workspace, or make it private again
+   * @param {string} chatId
+   * @param {string} userId - Must be the chat owner
+   * @param {string} visibility - 'private' or 'shared'
+   * @returns {Promise<Object|null>} The chat, or null if the user does not own it
+   */
+  async updateVisibility(chatId, userId, visibility) {
+    const { data: chat, error: chatError } = await supabase
+      .from('chats')
+      .select('id, workspace_id')
+      .eq('id', chatId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (chatError) throw chatError;
+    if (!chat) return null;
+
+    if (visibility === 'shared' && !chat.workspace_id) {
+      throw new Error('Only chats on workspace documents can be shared');
+    }
+
+    const { data, error } = await supabase
+      .from('chats')
+      .update({ visibility })
+      .eq('id', chatId)
+      .select()
+      .single();
+
     if (error) throw error;
     return data;
   },
@@ -68,19 +143,23 @@ const ChatModel = {
 
   /**
    * Get a specific chat with its messages
+   * @returns {Promise<Object|null>} The chat, or null if the user cannot access it
    */
   async getChat(chatId, userId) {
     const { data: chat, error: chatError } = await supabase
       .from('chats')
       .select(`
         *,
-        documents (id,filename, content)
+        documents (
+          id,filename, content, source_document_id, embedding_provider, embedding_model,
+          source_document:source_document_id (id, embedding_provider, embedding_model)
+        )
       `)
       .eq('id', chatId)
-      .eq('user_id', userId)
-      .single();
+      .maybeSingle();
 
     if (chatError) throw chatError;
+    if (!chat || !await this.canAccessChat(chat, userId)) return null;
 
     const { data: messages, error: messagesError } = await supabase
       .from('chat_messages')
@@ -123,18 +202,22 @@ const ChatModel = {
    */
   async processMessage(chatId, userId, userMessage) {
     try {
-      // 1. Save the user message
-      const savedUserMessage = await this.addMessage(chatId, 'user', userMessage);
+      // 1. Get chat and document information. Shared chats can be read by
+      // workspace members but only the chat owner adds messages.
+      const chat = await this.getChat(chatId, userId);
+      if (!chat || chat.user_id !== userId) throw new Error('Chat not found');
+
+      const { documents, messages } = chat;
 
-      // 2. Get chat and document information
-      const { documents, messages } = await this.getChat(chatId, userId);
+      // 2. Save the user message
+      const savedUserMessage = await this.addMessage(chatId, 'user', userMessage);
       console.log("documents from getchats", documents)
       const documentId = documents?.id;
 
       // 3. Get relevant context from document embeddings
       let context = '';
       if (documentId) {
-        context = await this.getRelevantContext(documentId, userMessage);
+        context = await this.getRelevantContext(documents, userMessage);
       }
       console.log("context from document", context)
 
@@ -182,22 +265,27 @@ const ChatModel = {
 
   /**
    * Get relevant context from document embeddings based on the user query
+   * @param {Object} document - Row with id and the provider and model it was
+   *   embedded with. A duplicate of an earlier upload carries that document
+   *   as source_document, whose embeddings it shares.
+   * @param {string} query
    */
-  async getRelevantContext(documentId, query) {
+  async getRelevantContext(document, query) {
     try {
-      // 1. Get embedding for the query
-      const embeddingResponse = await openai.embeddings.create({
-        model: "text-embedding-ada-002",
-        input: query,
-      });
+      // The source is read as it is now: it may have been re-indexed with
+      // another model since the duplicate was uploaded
+      const searched = document.source_document || document;
+      const embedder = getDocumentEmbedder(searched);
 
-      const queryEmbedding = embeddingResponse.data[0].embedding;
+      // 1. Get embedding for the query, with the model the document was
+      // embedded with so the vectors are comparable
+      const queryEmbedding = await embedder.embedQuery(query);
 
       // 2. Find similar document chunks using vector similarity
       const { data, error } = await supabase.rpc('match_document_embeddings', {
         query_embedding: queryEmbedding,
-        document_id: documentId,
-        match_threshold: 0.7,
+        document_id: searched.id,
+        match_threshold: embedder.matchThreshold,
         match_count: 5
       });
 
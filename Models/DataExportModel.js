@@ -0,0 +1,390 @@
+import supabase from '../Utils/supabaseClient.js';
+import AuthModel from './AuthModel.js';
+import NotificationModel from './NotificationModel.js';
+import { getDocumentStorage } from '../Utils/storage.js';
+import JSZip from 'jszip';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+
+const EXPORT_DIR = path.join(process.cwd(), 'exports');
+
+// Archives are kept for download for this long
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Accounts above either limit are exported in the background
+const INLINE_MAX_DOCUMENTS = 20;
+const INLINE_MAX_BYTES = 20 * 1024 * 1024;
+
+// An export still processing after this long was interrupted (e.g. by a
+// restart), and is queued again at most this many times
+const STALLED_AFTER_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Fetch all rows of a table owned by the user
+ */
+const selectOwnedRows = async (table, userId, columns = '*') => {
+  const { data, error } = await supabase
+    .from(table)
+    .select(columns)
+    .eq('user_id', userId);
+
+  if (error) throw new Error(`Failed to fetch ${table}: ${error.message}`);
+  return data;
+};
+
+/**
+ * A readable stream that only opens its source once it is read. JSZip reads
+ * the files of an archive one after another, so originals are downloaded
+ * one at a time while the archive is written, instead of all up front.
+ * @param {Function} open - Resolves to the source stream
+ * @param {Function} onError - Called if the source cannot be opened; the
+ *   stream then ends empty
+ * @returns {Readable}
+ */
+const lazyReadable = (open, onError) => {
+  let source = null;
+  let opening = false;
+
+  const stream = new Readable({
+    read() {
+      if (source) {
+        source.resume();
+        return;
+      }
+      if (opening) return;
+
+      opening = true;
+      open().then(opened => {
+        source = opened;
+        opened
+          .on('data', chunk => {
+            if (!stream.push(chunk)) opened.pause();
+          })
+          .on('end', () => stream.push(null))
+          .on('error', error => stream.destroy(error));
+      }, error => {
+        onError(error);
+        stream.push(null);
+      });
+    }
+  });
+
+  return stream;
+};
+
+const DataExportModel = {
+  /**
+   * Start a personal data export. Small accounts are packaged right away,
+   * larger ones are left for the background worker.
+   * @param {string} userId
+   * @returns {Promise<Object>} The export record
+   */
+  async requestExport(userId) {
+    // Reuse an export that is still being prepared
+    const { data: inProgress, error: inProgressError } = await supabase
+      .from('data_exports')
+      .select('*')
+      .eq('user_id', userId)
+      .in('status', ['pending', 'processing'])
+      .limit(1)
+      .maybeSingle();
+
+    if (inProgressError) throw inProgressError;
+    if (inProgress) return inProgress;
+
+    const { data: exportRecord, error } = await supabase
+      .from('data_exports')
+      .insert({ user_id: userId, status: 'pending' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const documents = await selectOwnedRows('documents', userId, 'file_size');
+    const totalBytes = documents.reduce((sum, document) => sum + (document.file_size || 0), 0);
+
+    if (documents.length <= INLINE_MAX_DOCUMENTS && totalBytes <= INLINE_MAX_BYTES) {
+      return this.processExport(exportRecord, { notify: false });
+    }
+
+    return exportRecord;
+  },
+
+  /**
+   * Get an export record of a user
+   * @param {string} userId
+   * @param {string} exportId
+   * @returns {Promise<Object|null>}
+   */
+  async getExport(userId, exportId) {
+    const { data, error } = await supabase
+      .from('data_exports')
+      .select('*')
+      .eq('id', exportId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Build the archive for an export and mark it ready (or failed)
+   * @param {Object} exportRecord - Row from data_exports
+   * @param {Object} options
+   * @param {boolean} options.notify - Send a notification when done
+   * @returns {Promise<Object>} The updated export record
+   */
+  async processExport(exportRecord, { notify = true } = {}) {
+    // Claim the export so two workers never build the same archive
+    const { data: claimed, error: claimError } = await supabase
+      .from('data_exports')
+      .update({
+        status: 'processing',
+        started_at: new Date().toISOString(),
+        attempts: (exportRecord.attempts || 0) + 1
+      })
+      .eq('id', exportRecord.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!claimed) return exportRecord;
+
+    try {
+      const filePath = await this.buildArchive(exportRecord.user_id, exportRecord.id);
+      const { size } = await fs.promises.stat(filePath);
+
+      const { data: ready, error } = await supabase
+        .from('data_exports')
+        .update({
+          status: 'ready',
+          file_path: filePath,
+          file_size: size,
+          completed_at: new Date().toISOString(),
+          expires_at: new Date(Date.now() + EXPORT_TTL_MS).toISOString()
+        })
+        .eq('id', exportRecord.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      if (notify) {
+        await NotificationModel.createNotification(exportRecord.user_id, {
+          type: 'data_export.ready',
+          title: 'Your data export is ready',
+          message: 'Your personal data archive is ready to download for the next 7 days.',
+          data: { exportId: exportRecord.id }
+        });
+      }
+
+      return ready;
+    } catch (error) {
+      console.error('Error building data export:', error);
+
+      const { data: failed } = await supabase
+        .from('data_exports')
+        .update({ status: 'failed', error: error.message })
+        .eq('id', exportRecord.id)
+        .select()
+        .single();
+
+      if (notify) {
+        await NotificationModel.createNotification(exportRecord.user_id, {
+          type: 'data_export.failed',
+          title: 'Your data export failed',
+          message: 'We could not prepare your data archive. Please try again.',
+          data: { exportId: exportRecord.id }
+        });
+      }
+
+      return failed || { ...exportRecord, status: 'failed' };
+    }
+  },
+
+  /**
+   * Package everything held about a user into a ZIP archive
+   * @param {string} userId
+   * @param {string} exportId
+   * @returns {Promise<string>} Path of the written archive
+   */
+  async buildArchive(userId, exportId) {
+    const zip = new JSZip();
+
+    const profile = await AuthModel.getUserById(userId);
+    const documents = await selectOwnedRows('documents', userId);
+    const chats = await selectOwnedRows('chats', userId);
+    const subscriptions = await selectOwnedRows('subscriptions', userId);
+    const couponUsage = await selectOwnedRows('coupon_usage', userId);
+    const sessions = await selectOwnedRows('user_sessions', userId);
+
+    // Chat messages are keyed by chat rather than user
+    let messages = [];
+    if (chats.length > 0) {
+      const { data, error } = await supabase
+        .from('chat_messages')
+        .select('*')
+        .in('chat_id', chats.map(chat => chat.id))
+        .order('created_at', { ascending: true });
+
+      if (error) throw new Error(`Failed to fetch chat_messages: ${error.message}`);
+      messages = data;
+    }
+
+    const files = [];
+    const missingFiles = new Set();
+    const addJson = (name, value) => {
+      zip.file(name, JSON.stringify(value, null, 2));
+      files.push(name);
+    };
+
+    addJson('profile.json', profile);
+
+    for (const document of documents) {
+      const folder = `documents/${document.id}`;
+      const { content, ...metadata } = document;
+
+      addJson(`${folder}/metadata.json`, metadata);
+
+      if (content) {
+        zip.file(`${folder}/content.txt`, content);
+        files.push(`${folder}/content.txt`);
+      }
+
+      // Original file, if it is still in storage, streamed while the
+      // archive is written so originals are never all held in memory
+      if (document.file_path) {
+        const name = `${folder}/original/${path.basename(document.filename || document.file_path)}`;
+
+        zip.file(name, lazyReadable(
+          () => getDocumentStorage(document).stream(document.file_path),
+          (error) => {
+            console.error(`Original file of document ${document.id} could not be read:`, error);
+            missingFiles.add(name);
+          }
+        ));
+        files.push(name);
+      }
+    }
+
+    addJson('chats.json', chats.map(chat => ({
+      ...chat,
+      messages: messages.filter(message => message.chat_id === chat.id)
+    })));
+    addJson('subscriptions.json', subscriptions);
+    addJson('coupon_usage.json', couponUsage);
+    addJson('sessions.json', sessions);
+
+    // Written last, once it is known which originals could be read
+    zip.file('manifest.json', lazyReadable(async () => Readable.from([JSON.stringify({
+      exportId,
+      userId,
+      generatedAt: new Date().toISOString(),
+      counts: {
+        documents: documents.length,
+        chats: chats.length,
+        chatMessages: messages.length,
+        subscriptions: subscriptions.length,
+        couponUsage: couponUsage.length,
+        sessions: sessions.length
+      },
+      files: files.filter(name => !missingFiles.has(name))
+    }, null, 2)])));
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const filePath = path.join(EXPORT_DIR, `export-${exportId}.zip`);
+
+    await new Promise((resolve, reject) => {
+      zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+        .pipe(fs.createWriteStream(filePath))
+        .on('finish', resolve)
+        .on('error', reject);
+    });
+
+    return filePath;
+  },
+
+  /**
+   * Put exports back in the queue whose processing was interrupted (e.g. by
+   * a restart). Exports that keep failing this way are marked failed.
+   * @returns {Promise<number>} Number of exports recovered
+   */
+  async requeueStalledExports() {
+    const stalledBefore = new Date(Date.now() - STALLED_AFTER_MS).toISOString();
+
+    // Exports claimed before started_at was recorded have none
+    const { data: stalled, error } = await supabase
+      .from('data_exports')
+      .select('id, attempts')
+      .eq('status', 'processing')
+      .or(`started_at.is.null,started_at.lt.${stalledBefore}`);
+
+    if (error) throw error;
+
+    for (const exportRecord of stalled) {
+      const { error: updateError } = await supabase
+        .from('data_exports')
+        .update((exportRecord.attempts || 0) >= MAX_ATTEMPTS
+          ? { status: 'failed', error: 'Export was interrupted too many times' }
+          : { status: 'pending' })
+        .eq('id', exportRecord.id)
+        .eq('status', 'processing');
+
+      if (updateError) throw updateError;
+    }
+
+    return stalled.length;
+  },
+
+  /**
+   * Build every export waiting for the background worker
+   * @returns {Promise<number>} Number of exports processed
+   */
+  async processPendingExports() {
+    const { data: pending, error } = await supabase
+      .from('data_exports')
+      .select('*')
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true })
+      .limit(5);
+
+    if (error) throw error;
+
+    for (const exportRecord of pending) {
+      await this.processExport(exportRecord);
+    }
+
+    return pending.length;
+  },
+
+  /**
+   * Delete archives past their download window
+   * @returns {Promise<number>} Number of archives removed
+   */
+  async removeExpiredExports() {
+    const { data: expired, error } = await supabase
+      .from('data_exports')
+      .select('id, file_path')
+      .eq('status', 'ready')
+      .lte('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+
+    for (const exportRecord of expired) {
+      await fs.promises.rm(exportRecord.file_path, { force: true });
+
+      await supabase
+        .from('data_exports')
+        .update({ status: 'expired', file_path: null })
+        .eq('id', exportRecord.id);
+    }
+
+    return expired.length;
+  }
+};
+
+export default DataExportModel;
@@ -1,74 +1,615 @@
 import supabase from '../Utils/supabaseClient.js';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { createReadStream } from 'fs';
 import { pipeline } from 'stream/promises';
 import { OpenAI } from 'openai';
 import { PDFLoader } from '@langchain/community/document_loaders/fs/pdf';
 import { TextLoader } from "langchain/document_loaders/fs/text";
 import { DocxLoader } from "@langchain/community/document_loaders/fs/docx";
+import {
+  DocLoader,
+  HtmlLoader,
+  CsvLoader,
+  XlsxLoader,
+  PptxLoader,
+  EpubLoader,
+  RtfLoader
+} from '../Utils/documentLoaders.js';
+import WorkspaceModel from './WorkspaceModel.js';
+import NotificationModel from './NotificationModel.js';
+import { withRetry, mapWithConcurrency } from '../Utils/retry.js';
+import { chunkText } from '../Utils/chunker.js';
+import { getStorage, getDocumentStorage } from '../Utils/storage.js';
+import { getEmbedder } from '../Utils/embeddings.js';
 
 // Initialize OpenAI client
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
+// A document still extracting or embedding after this long was interrupted
+const STALLED_AFTER_MS = 30 * 60 * 1000;
+
+// Interrupted documents are requeued at most this many times
+const MAX_ATTEMPTS = 3;
+
+// Chunks sent per embeddings request, and requests in flight per document.
+// Each embedding provider has its own defaults.
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || null;
+const EMBEDDING_CONCURRENCY = parseInt(process.env.EMBEDDING_CONCURRENCY, 10) || null;
+
+// Download links stay valid this long
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS || '300', 10);
+
+/**
+ * SHA-256 of a file's content, as hex
+ */
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * Error for an action the document's processing status does not allow,
+ * reported to the client as a conflict
+ * @param {string} message
+ */
+const statusConflict = (message) => {
+  const conflictError = new Error(message);
+  conflictError.code = 'document_status_conflict';
+  return conflictError;
+};
+
 const DocumentModel = {
   /**
-   * Upload a PDF document and process it
+   * Store an uploaded document and queue it for ingestion. Extraction and
+   * embeddings are done by the ingestion worker (see processDocument).
+   * The file is moved into the configured storage backend; file_path holds
+   * its storage key.
+   *
+   * Uploads are deduplicated by content hash:
+   * - the same file already in the same place (the user's personal documents
+   *   or the workspace) is returned instead, and the new copy is removed
+   * - the same file, already processed, in another document the user can
+   *   access becomes a ready reference that shares that document's text and
+   *   embeddings (source_document_id)
+   * @param {Object} file - Staged upload with path and size
+   * @param {string|null} workspaceId - Workspace to upload into, or null for a personal document
+   * @returns {Promise<Object>} The document, with duplicate set to 'existing',
+   *   'reference' or null
    */
-  async uploadDocument(userId, file, filename, mimetype) {
+  async uploadDocument(userId, file, filename, mimetype, workspaceId = null) {
     try {
-      // 1. Store file metadata in database
+      const contentHash = await hashFile(file.path);
+
+      const existing = await this.findDuplicate(contentHash, userId, workspaceId);
+      if (existing) {
+        await fs.promises.rm(file.path, { force: true });
+        return { ...existing, duplicate: 'existing' };
+      }
+
+      const source = await this.findReferenceSource(contentHash, userId);
+
+      const storage = getStorage();
+      const storageKey = `documents/${userId}/${path.basename(file.path)}`;
+      await storage.store(storageKey, file.path, { contentType: mimetype });
+
       const { data: document, error: documentError } = await supabase
         .from('documents')
         .insert({
           user_id: userId,
+          workspace_id: workspaceId,
           filename: filename,
-          file_path: file.path,
-          file_size: file.size
+          file_path: storageKey,
+          storage_backend: storage.name,
+          file_size: file.size,
+          mime_type: mimetype,
+          content_hash: contentHash,
+          ...(source
+            ? {
+              source_document_id: source.id,
+              status: 'ready',
+              progress: 100,
+              content: source.content,
+              page_offsets: source.page_offsets,
+              summaries: source.summaries,
+              insights: source.insights,
+              processed_at: source.processed_at
+            }
+            : { status: 'queued', progress: 0 })
         })
         .select()
         .single();
 
-      if (documentError) throw documentError;
+      if (documentError) {
+        await storage.remove(storageKey);
+        throw documentError;
+      }
 
-      if (this.isImageFile(mimetype)) {
-        // For images, we'll get a description from OpenAI
-        const imageDescription = await this.getImageDescription(file.path);
+      return { ...document, duplicate: source ? 'reference' : null };
+    } catch (error) {
+      console.error('Error uploading document:', error);
+      throw error;
+    }
+  },
 
-        // Update the document record with the image description
-        const { error: updateError } = await supabase
-          .from('documents')
-          .update({ content: imageDescription })
-          .eq('id', document.id);
+  /**
+   * Find a document with the same content in the same place as an upload.
+   * Failed documents are ignored so the file can be processed again.
+   * @param {string} contentHash
+   * @param {string} userId
+   * @param {string|null} workspaceId
+   * @returns {Promise<Object|null>}
+   */
+  async findDuplicate(contentHash, userId, workspaceId) {
+    let query = supabase
+      .from('documents')
+      .select('*')
+      .eq('content_hash', contentHash)
+      .neq('status', 'failed')
+      .order('created_at', { ascending: true })
+      .limit(1);
 
-        if (updateError) throw updateError;
+    query = workspaceId
+      ? query.eq('workspace_id', workspaceId)
+      : query.eq('user_id', userId).is('workspace_id', null);
 
-        // Create embeddings for the image description
-        await this.createEmbeddings(document.id, imageDescription);
-      } else {
-        // Existing text document processing
-        const loader = this.getLoaderByMimeType(file.path, mimetype);
-        const docs = await loader.load();
-        const textContent = docs.map(doc => doc.pageContent).join('\n');
+    const { data, error } = await query;
 
-        const { error: updateError } = await supabase
-          .from('documents')
-          .update({ content: textContent })
-          .eq('id', document.id);
+    if (error) throw error;
+    return data[0] || null;
+  },
 
-        if (updateError) throw updateError;
+  /**
+   * Find a processed document with the same content that the user can
+   * access anywhere, whose embeddings a new upload can share
+   * @param {string} contentHash
+   * @param {string} userId
+   * @returns {Promise<Object|null>}
+   */
+  async findReferenceSource(contentHash, userId) {
+    const { data, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('content_hash', contentHash)
+      .eq('status', 'ready')
+      .is('source_document_id', null)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    for (const document of data) {
+      if (await this.getAccessRole(document, userId)) return document;
+    }
+
+    return null;
+  },
+
+  /**
+   * Before documents are deleted, hand the embeddings that references share
+   * with them to the oldest remaining reference, which becomes the source
+   * of the others. References do not keep their own record of the model
+   * the embeddings were made with, so the heir takes it over too.
+   * @param {string[]} documentIds - Documents about to be deleted
+   */
+  async releaseSharedEmbeddings(documentIds) {
+    const { data: references, error } = await supabase
+      .from('documents')
+      .select('id, source_document_id, source_document:source_document_id (embedding_provider, embedding_model, embedding_dimension)')
+      .in('source_document_id', documentIds)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const remaining = references.filter(reference => !documentIds.includes(reference.id));
+
+    for (const sourceId of documentIds) {
+      const [heir, ...others] = remaining.filter(reference => reference.source_document_id === sourceId);
+      if (!heir) continue;
+
+      const { error: embeddingsError } = await supabase
+        .from('document_embeddings')
+        .update({ document_id: heir.id })
+        .eq('document_id', sourceId);
+
+      if (embeddingsError) throw embeddingsError;
+
+      await this.updateStatus(heir.id, { source_document_id: null, ...heir.source_document });
+
+      if (others.length > 0) {
+        const { error: othersError } = await supabase
+          .from('documents')
+          .update({ source_document_id: heir.id })
+          .in('id', others.map(reference => reference.id));
 
-        await this.createEmbeddings(document.id, textContent);
+        if (othersError) throw othersError;
       }
+    }
+  },
 
-      return document;
+  /**
+   * Update the ingestion status of a document
+   * @param {string} documentId
+   * @param {Object} fields - status, progress, error, ...
+   */
+  async updateStatus(documentId, fields) {
+    const { error } = await supabase
+      .from('documents')
+      .update(fields)
+      .eq('id', documentId);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Extract and embed a queued document:
+   * queued -> extracting -> embedding -> ready, or failed with an error
+   * @param {Object} document - Queued document row
+   * @returns {Promise<boolean>} False if another worker already claimed it
+   */
+  async processDocument(document) {
+    // Claim the document so two workers never process it at once
+    const { data: claimed, error: claimError } = await supabase
+      .from('documents')
+      .update({
+        status: 'extracting',
+        progress: 0,
+        error: null,
+        attempts: (document.attempts || 0) + 1,
+        processing_started_at: new Date().toISOString()
+      })
+      .eq('id', document.id)
+      .eq('status', 'queued')
+      .select()
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!claimed) return false;
+
+    try {
+      // Remove anything left over from an earlier attempt
+      await this.deleteEmbeddings(document.id);
+
+      // Re-index jobs reuse the stored text instead of extracting it again
+      const { text: textContent, pageOffsets } = document.reindex && document.content
+        ? { text: document.content, pageOffsets: document.page_offsets }
+        : await this.extractText(document);
+
+      await this.updateStatus(document.id, {
+        content: textContent,
+        page_offsets: pageOffsets,
+        status: 'embedding',
+        progress: 10
+      });
+
+      const embedding = await this.createEmbeddings(document.id, textContent, {
+        pageOffsets,
+        onProgress: (done, total) =>
+          this.updateStatus(document.id, { progress: 10 + Math.floor((done / total) * 89) })
+      });
+
+      // A re-indexed reference now has embeddings of its own
+      await this.updateStatus(document.id, {
+        status: 'ready',
+        progress: 100,
+        reindex: false,
+        source_document_id: null,
+        embedding_provider: embedding.provider,
+        embedding_model: embedding.model,
+        embedding_dimension: embedding.dimension,
+        processed_at: new Date().toISOString()
+      });
+
+      await this.notifyOwner(document, 'document.ready', 'Your document is ready',
+        `${document.filename} has been processed and is ready to chat with.`);
+
+      return true;
     } catch (error) {
-      console.error('Error uploading document:', error);
-      throw error;
+      console.error(`Error processing document ${document.id}:`, error);
+
+      await this.updateStatus(document.id, {
+        status: 'failed',
+        error: error.message
+      });
+
+      await this.notifyOwner(document, 'document.failed', 'Document processing failed',
+        `${document.filename} could not be processed. You can retry it from your documents.`);
+
+      return true;
+    }
+  },
+
+  /**
+   * Notify the uploader about their document; failures are only logged
+   */
+  async notifyOwner(document, type, title, message) {
+    try {
+      await NotificationModel.createNotification(document.user_id, {
+        type,
+        title,
+        message,
+        data: { documentId: document.id }
+      });
+    } catch (error) {
+      console.error('Failed to send document notification:', error);
+    }
+  },
+
+  /**
+   * Process the oldest queued documents
+   * @param {number} limit - Documents per run
+   * @returns {Promise<number>} Number of documents processed
+   */
+  async processQueuedDocuments(limit = 3) {
+    const { data: queued, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('status', 'queued')
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    let processed = 0;
+    for (const document of queued) {
+      if (await this.processDocument(document)) processed++;
+    }
+
+    return processed;
+  },
+
+  /**
+   * Put documents back in the queue whose processing was interrupted (e.g. by
+   * a restart). Documents that keep failing this way are marked failed.
+   * @returns {Promise<number>} Number of documents recovered
+   */
+  async requeueStalledDocuments() {
+    const stalledBefore = new Date(Date.now() - STALLED_AFTER_MS).toISOString();
+
+    const { data: stalled, error } = await supabase
+      .from('documents')
+      .select('id, attempts')
+      .in('status', ['extracting', 'embedding'])
+      .lt('processing_started_at', stalledBefore);
+
+    if (error) throw error;
+
+    let recovered = 0;
+    for (const document of stalled) {
+      // Only if it is still stalled: the worker may have finished it meanwhile
+      const { data, error: updateError } = await supabase
+        .from('documents')
+        .update(document.attempts >= MAX_ATTEMPTS
+          ? { status: 'failed', error: 'Processing was interrupted too many times' }
+          : { status: 'queued', progress: 0 })
+        .eq('id', document.id)
+        .in('status', ['extracting', 'embedding'])
+        .lt('processing_started_at', stalledBefore)
+        .select('id');
+
+      if (updateError) throw updateError;
+      recovered += data.length;
     }
+
+    return recovered;
   },
+
+  /**
+   * Queue a failed document for another attempt
+   * @param {string} documentId
+   * @param {string} userId - Needs the editor role on the document
+   * @returns {Promise<Object|null>} The document, or null if not found
+   */
+  async retryDocument(documentId, userId) {
+    const document = await this.getDocument(documentId, userId, 'editor');
+    if (!document) return null;
+
+    if (document.status !== 'failed') {
+      throw statusConflict('Only failed documents can be retried');
+    }
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update({ status: 'queued', progress: 0, error: null, attempts: 0 })
+      .eq('id', documentId)
+      .eq('status', 'failed')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Retried by another request in the meantime
+    if (!data) throw statusConflict('Only failed documents can be retried');
+
+    return data;
+  },
+
+  /**
+   * Queue a document to have its embeddings rebuilt from its stored text,
+   * e.g. after the chunking settings changed
+   * @param {string} documentId
+   * @param {string} userId - Needs the editor role on the document
+   * @returns {Promise<Object|null>} The document, or null if not found
+   */
+  async reindexDocument(documentId, userId) {
+    const document = await this.getDocument(documentId, userId, 'editor');
+    if (!document) return null;
+
+    if (['queued', 'extracting', 'embedding'].includes(document.status)) {
+      throw statusConflict('Document is already being processed');
+    }
+
+    if (!document.content) {
+      throw statusConflict('Document has no extracted text to re-index. Retry processing instead.');
+    }
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update({ status: 'queued', progress: 0, error: null, attempts: 0, reindex: true })
+      .eq('id', documentId)
+      .not('status', 'in', '(queued,extracting,embedding)')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Queued by another request in the meantime
+    if (!data) throw statusConflict('Document is already being processed');
+
+    return data;
+  },
+
+  /**
+   * Rename a document or change its description
+   * @param {string} documentId
+   * @param {string} userId - Needs the editor role on the document
+   * @param {Object} updates
+   * @param {string} [updates.filename]
+   * @param {string|null} [updates.description]
+   * @returns {Promise<Object|null>} The document, or null if not found
+   */
+  async updateDocument(documentId, userId, { filename, description }) {
+    const document = await this.getDocument(documentId, userId, 'editor');
+    if (!document) return null;
+
+    const updates = {};
+    if (filename !== undefined) updates.filename = filename;
+    if (description !== undefined) updates.description = description;
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update(updates)
+      .eq('id', documentId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Delete a document with its embeddings, the chats about it and the stored file
+   * @param {string} documentId
+   * @param {string} userId - Needs the editor role on the document
+   * @returns {Promise<Object|null>} Counts of what was removed, or null if not found
+   */
+  async deleteDocument(documentId, userId) {
+    const document = await this.getDocument(documentId, userId, 'editor');
+    if (!document) return null;
+
+    const { data: chats, error: chatsError } = await supabase
+      .from('chats')
+      .select('id')
+      .eq('document_id', documentId);
+
+    if (chatsError) throw chatsError;
+
+    const chatIds = chats.map(chat => chat.id);
+
+    if (chatIds.length > 0) {
+      const { error: messagesError } = await supabase
+        .from('chat_messages')
+        .delete()
+        .in('chat_id', chatIds);
+
+      if (messagesError) throw messagesError;
+
+      const { error: deleteChatsError } = await supabase
+        .from('chats')
+        .delete()
+        .in('id', chatIds);
+
+      if (deleteChatsError) throw deleteChatsError;
+    }
+
+    await this.releaseSharedEmbeddings([documentId]);
+    await this.deleteEmbeddings(documentId);
+
+    const { error } = await supabase
+      .from('documents')
+      .delete()
+      .eq('id', documentId);
+
+    if (error) throw error;
+
+    if (document.file_path) {
+      await getDocumentStorage(document).remove(document.file_path);
+    }
+
+    return { id: documentId, chats: chatIds.length };
+  },
+
+  /**
+   * Create a short-lived link to download a document's original file
+   * @param {Object} document - Row with file_path, storage_backend and filename
+   * @returns {Promise<{ url: string, expiresAt: string }>}
+   */
+  async getDownloadUrl(document) {
+    const url = await getDocumentStorage(document).getSignedUrl(document.file_path, {
+      expiresIn: DOWNLOAD_URL_TTL_SECONDS,
+      filename: document.filename
+    });
+
+    return { url, expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000).toISOString() };
+  },
+
+  /**
+   * Delete all embeddings of a document
+   * @param {string} documentId
+   */
+  async deleteEmbeddings(documentId) {
+    const { error } = await supabase
+      .from('document_embeddings')
+      .delete()
+      .eq('document_id', documentId);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Extract the text of a stored document. For paged formats (PDF) the start
+   * offset of every page in the text is returned as well.
+   * @param {Object} document - Row with file_path, storage_backend and mime_type
+   * @returns {Promise<{ text: string, pageOffsets: number[]|null }>}
+   */
+  async extractText(document) {
+    // Loaders read from disk, so files in remote storage are fetched first
+    return getDocumentStorage(document).withLocalCopy(document.file_path, async (filePath) => {
+      if (this.isImageFile(document.mime_type)) {
+        // For images, we'll get a description from OpenAI
+        return { text: await this.getImageDescription(filePath), pageOffsets: null };
+      }
+
+      const loader = this.getLoaderByMimeType(filePath, document.mime_type);
+      return this.joinPages(await loader.load());
+    });
+  },
+
+  /**
+   * Join loaded pages into one text, with the start offset of every page
+   * when the loader reports page numbers
+   * @param {Array} docs - LangChain documents
+   * @returns {{ text: string, pageOffsets: number[]|null }}
+   */
+  joinPages(docs) {
+    const paged = docs.some(doc => doc.metadata?.loc?.pageNumber);
+    const pageOffsets = [];
+    let offset = 0;
+
+    for (const doc of docs) {
+      pageOffsets.push(offset);
+      offset += doc.pageContent.length + 1;
+    }
+
+    return {
+      text: docs.map(doc => doc.pageContent).join('\n'),
+      pageOffsets: paged ? pageOffsets : null
+    };
+  },
+
   /**
    * Check if file is an image
    */
@@ -123,12 +664,23 @@ const DocumentModel = {
     console.log("mimie type of files=========", mimetype)
     if (mimetype === 'application/pdf') {
       return new PDFLoader(filePath);
-    } else if (mimetype === 'text/plain') {
+    } else if (mimetype === 'text/plain' || mimetype === 'text/markdown') {
       return new TextLoader(filePath);
-    } else if (
-      mimetype === 'application/msword' ||
-      mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ) {
+    } else if (mimetype === 'text/html') {
+      return new HtmlLoader(filePath);
+    } else if (mimetype === 'text/csv') {
+      return new CsvLoader(filePath);
+    } else if (mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+      return new XlsxLoader(filePath);
+    } else if (mimetype === 'application/vnd.openxmlformats-officedocument.presentationml.presentation') {
+      return new PptxLoader(filePath);
+    } else if (mimetype === 'application/epub+zip') {
+      return new EpubLoader(filePath);
+    } else if (mimetype === 'application/rtf') {
+      return new RtfLoader(filePath);
+    } else if (mimetype === 'application/msword') {
+      return new DocLoader(filePath);
+    } else if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
       return new DocxLoader(filePath);
     } else if (this.isImageFile(mimetype)) {
       throw new Error('Image files should be handled by the image processing flow');
@@ -139,94 +691,130 @@ const DocumentModel = {
   },
 
   /**
-   * Create embeddings for document text
+   * Create embeddings for document text with the configured embedding
+   * provider. Chunks are embedded in batches with a few requests in flight,
+   * and each batch is stored with one insert.
+   * If any batch fails, the embeddings already stored are removed again.
+   * @param {Object} [options]
+   * @param {number[]} [options.pageOffsets] - Page start offsets, to store page numbers
+   * @param {Function} [options.onProgress] - Called with (chunksDone, totalChunks)
+   * @returns {Promise<{ provider: string, model: string, dimension: number|null }>}
+   *   What the document was embedded with, to embed its queries the same way
    */
-  async createEmbeddings(documentId, text) {
-    try {
-      // Split the text into chunks (simple approach)
-      const chunks = this.splitTextIntoChunks(text, 1000);
-
-      for (const chunk of chunks) {
-        // Get embedding from OpenAI
-        const embeddingResponse = await openai.embeddings.create({
-          model: "text-embedding-ada-002",
-          input: chunk,
-        });
+  async createEmbeddings(documentId, text, { pageOffsets = null, onProgress } = {}) {
+    const embedder = getEmbedder();
+    const batchSize = EMBEDDING_BATCH_SIZE || embedder.batchSize;
+    const chunks = chunkText(text, { pageOffsets }).map((chunk, index) => ({ ...chunk, index }));
+
+    const batches = [];
+    for (let i = 0; i < chunks.length; i += batchSize) {
+      batches.push(chunks.slice(i, i + batchSize));
+    }
 
-        const [{ embedding }] = embeddingResponse.data;
+    let done = 0;
+    let dimension = null;
 
-        // Store embedding in the database
-        const { error } = await supabase
-          .from('document_embeddings')
-          .insert({
+    try {
+      await mapWithConcurrency(batches, EMBEDDING_CONCURRENCY || embedder.concurrency, async (batch) => {
+        const embeddings = await embedder.embedDocuments(batch.map(chunk => chunk.content));
+        dimension = embeddings[0].length;
+
+        const rows = embeddings
+          .map((embedding, index) => ({
             document_id: documentId,
-            content: chunk,
-            embedding
-          });
+            content: batch[index].content,
+            embedding,
+            chunk_index: batch[index].index,
+            page_number: batch[index].pageNumber,
+            start_offset: batch[index].startOffset,
+            end_offset: batch[index].endOffset,
+            section_heading: batch[index].sectionHeading,
+            token_count: batch[index].tokenCount
+          }));
 
-        if (error) throw error;
-      }
-    } catch (error) {
-      console.error('Error creating embeddings:', error);
-      throw error;
-    }
-  },
+        await withRetry(async () => {
+          const { error } = await supabase
+            .from('document_embeddings')
+            .insert(rows);
 
-  /**
-   * Split text into chunks of roughly equal size
-   */
-  splitTextIntoChunks(text, chunkSize) {
-    const chunks = [];
-    let currentChunk = '';
+          if (error) throw error;
+        });
 
-    // Simple split by sentences/paragraphs
-    const sentences = text.split(/(?<=[.!?])\s+/);
+        done += batch.length;
+        if (onProgress) await onProgress(done, chunks.length);
+      });
+    } catch (error) {
+      console.error('Error creating embeddings:', error);
 
-    for (const sentence of sentences) {
-      if (currentChunk.length + sentence.length <= chunkSize) {
-        currentChunk += (currentChunk ? ' ' : '') + sentence;
-      } else {
-        if (currentChunk) {
-          chunks.push(currentChunk);
-        }
-        currentChunk = sentence;
-      }
-    }
+      // Do not leave a partial set of embeddings behind
+      await this.deleteEmbeddings(documentId).catch(cleanupError =>
+        console.error('Failed to clean up embeddings:', cleanupError)
+      );
 
-    if (currentChunk) {
-      chunks.push(currentChunk);
+      throw error;
     }
 
-    return chunks;
+    return { provider: embedder.provider, model: embedder.model, dimension };
   },
 
   /**
-   * Get documents for a user
+   * Get documents for a user: their personal documents, or the documents of
+   * a workspace they belong to
+   * @param {string} userId
+   * @param {string|null} workspaceId
    */
-  async getUserDocuments(userId) {
-    const { data, error } = await supabase
+  async getUserDocuments(userId, workspaceId = null) {
+    let query = supabase
       .from('documents')
       .select('*')
-      .eq('user_id', userId)
       .order('created_at', { ascending: false });
 
+    query = workspaceId
+      ? query.eq('workspace_id', workspaceId)
+      : query.eq('user_id', userId).is('workspace_id', null);
+
+    const { data, error } = await query;
+
     if (error) throw error;
     return data;
   },
 
   /**
-   * Get a specific document
+   * Get the role a user has on a document. Personal documents are owned by
+   * their uploader; workspace documents follow workspace membership.
+   * @param {Object} document - Row with user_id and workspace_id
+   * @param {string} userId
+   * @returns {Promise<string|null>} 'owner', 'editor', 'viewer' or null
    */
-  async getDocument(documentId, userId) {
+  async getAccessRole(document, userId) {
+    if (!document.workspace_id) {
+      return document.user_id === userId ? 'owner' : null;
+    }
+
+    return WorkspaceModel.getMemberRole(document.workspace_id, userId);
+  },
+
+  /**
+   * Get a specific document the user can access
+   * @param {string} documentId
+   * @param {string} userId
+   * @param {string} minimumRole - Role needed on the document, 'viewer' to read
+   * @returns {Promise<Object|null>} The document with the user's role, or null
+   */
+  async getDocument(documentId, userId, minimumRole = 'viewer') {
     const { data, error } = await supabase
       .from('documents')
       .select('*')
       .eq('id', documentId)
-      .eq('user_id', userId)
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
-    return data;
+    if (!data) return null;
+
+    const role = await this.getAccessRole(data, userId);
+    if (!WorkspaceModel.isAtLeast(role, minimumRole)) return null;
+
+    return { ...data, role };
   }
 };
 
@@ -0,0 +1,336 @@
+import supabase from '../Utils/supabaseClient.js';
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../Utils/totp.js';
+import { encrypt, decrypt, sha256 } from '../Utils/encryption.js';
+
+const ISSUER = process.env.MFA_ISSUER || 'AI Document Summarizer';
+const RECOVERY_CODE_COUNT = 10;
+
+// Pending second-factor logins expire quickly and allow few attempts
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Cache the enforcement setting, it is read on every authenticated request
+const SETTINGS_CACHE_MS = 60 * 1000;
+let requiredRolesCache = { roles: null, loadedAt: 0 };
+
+/**
+ * Generate a set of one-time recovery codes (xxxxx-xxxxx)
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const MfaModel = {
+  /**
+   * Get the stored MFA row of a user
+   * @param {string} userId
+   * @returns {Promise<Object|null>}
+   */
+  async getFactor(userId) {
+    const { data, error } = await supabase
+      .from('user_mfa')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Check whether a user has completed 2FA enrollment
+   * @param {string} userId
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(userId) {
+    const factor = await this.getFactor(userId);
+    return !!factor?.enabled_at;
+  },
+
+  /**
+   * Get the 2FA status of a user
+   * @param {Object} user - The authenticated user (req.user)
+   * @returns {Promise<Object>}
+   */
+  async getStatus(user) {
+    const factor = await this.getFactor(user.id);
+    const requiredRoles = await this.getRequiredRoles();
+
+    return {
+      enabled: !!factor?.enabled_at,
+      enabledAt: factor?.enabled_at || null,
+      recoveryCodesRemaining: factor?.enabled_at ? factor.recovery_codes.length : 0,
+      required: requiredRoles.includes(user.role)
+    };
+  },
+
+  /**
+   * Start enrollment: create a new secret and return it as an otpauth URI and QR code.
+   * Enrollment is only active once confirmed with a code.
+   * @param {Object} user - The authenticated user (req.user)
+   * @returns {Promise<Object>}
+   */
+  async startEnrollment(user) {
+    const existing = await this.getFactor(user.id);
+    if (existing?.enabled_at) throw new Error('Two-factor authentication is already enabled');
+
+    const secret = generateSecret();
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .upsert({
+        user_id: user.id,
+        secret_encrypted: encrypt(secret),
+        enabled_at: null,
+        last_used_step: null,
+        recovery_codes: []
+      }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    const otpauthUri = buildOtpauthUri({ secret, label: user.email, issuer: ISSUER });
+
+    return {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    };
+  },
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<string[]>} Recovery codes, shown to the user once
+   */
+  async confirmEnrollment(userId, code) {
+    const factor = await this.getFactor(userId);
+    if (!factor) throw new Error('Start enrollment before verifying');
+    if (factor.enabled_at) throw new Error('Two-factor authentication is already enabled');
+
+    const step = verifyCode(decrypt(factor.secret_encrypted), code);
+    if (step === null) throw new Error('Invalid verification code');
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .update({
+        enabled_at: new Date().toISOString(),
+        last_used_step: step,
+        recovery_codes: recoveryCodes.map(sha256)
+      })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return recoveryCodes;
+  },
+
+  /**
+   * Check a TOTP or recovery code for a user with 2FA enabled.
+   * TOTP codes cannot be replayed and recovery codes are single use.
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  async verify(userId, code) {
+    const factor = await this.getFactor(userId);
+    if (!factor?.enabled_at || !code) return false;
+
+    const step = verifyCode(decrypt(factor.secret_encrypted), code);
+
+    if (step !== null) {
+      if (factor.last_used_step !== null && step <= factor.last_used_step) return false;
+
+      const { error } = await supabase
+        .from('user_mfa')
+        .update({ last_used_step: step })
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      return true;
+    }
+
+    // Fall back to recovery codes
+    const hash = sha256(String(code).trim().toLowerCase());
+    if (!factor.recovery_codes.includes(hash)) return false;
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .update({ recovery_codes: factor.recovery_codes.filter(existing => existing !== hash) })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Replace the recovery codes of a user
+   * @param {string} userId
+   * @param {string} code - Current TOTP or recovery code
+   * @returns {Promise<string[]>} The new recovery codes
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    if (!await this.verify(userId, code)) throw new Error('Invalid verification code');
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .update({ recovery_codes: recoveryCodes.map(sha256) })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return recoveryCodes;
+  },
+
+  /**
+   * Turn off 2FA for a user
+   * @param {Object} user - The authenticated user (req.user)
+   * @param {string} code - Current TOTP or recovery code
+   */
+  async disable(user, code) {
+    const requiredRoles = await this.getRequiredRoles();
+    if (requiredRoles.includes(user.role)) {
+      throw new Error('Two-factor authentication is required for your role');
+    }
+
+    if (!await this.verify(user.id, code)) throw new Error('Invalid verification code');
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .delete()
+      .eq('user_id', user.id);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Hold a password-verified session until the second factor is provided
+   * @param {string} userId
+   * @param {Object} session - Supabase session from the password step
+   * @returns {Promise<string>} Challenge token for the second step
+   */
+  async createChallenge(userId, session) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const { error } = await supabase
+      .from('mfa_challenges')
+      .insert({
+        token_hash: sha256(token),
+        user_id: userId,
+        session_encrypted: encrypt(JSON.stringify(session)),
+        expires_at: new Date(Date.now() + CHALLENGE_TTL_MS).toISOString()
+      });
+
+    if (error) throw error;
+    return token;
+  },
+
+  /**
+   * Complete a pending login with the second factor
+   * @param {string} token - Challenge token from the password step
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<{ userId: string, session: Object }>}
+   */
+  async completeChallenge(token, code) {
+    const { data: challenge, error } = await supabase
+      .from('mfa_challenges')
+      .select('*')
+      .eq('token_hash', sha256(token))
+      .is('used_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!challenge || new Date(challenge.expires_at) < new Date() || challenge.attempts >= CHALLENGE_MAX_ATTEMPTS) {
+      throw new Error('Login challenge is invalid or has expired. Please log in again.');
+    }
+
+    if (!await this.verify(challenge.user_id, code)) {
+      await supabase
+        .from('mfa_challenges')
+        .update({ attempts: challenge.attempts + 1 })
+        .eq('id', challenge.id);
+
+      throw new Error('Invalid verification code');
+    }
+
+    // Mark as used so the held session is handed out only once
+    const { data: claimed, error: claimError } = await supabase
+      .from('mfa_challenges')
+      .update({ used_at: new Date().toISOString(), session_encrypted: null })
+      .eq('id', challenge.id)
+      .is('used_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!claimed) throw new Error('Login challenge has already been used');
+
+    return {
+      userId: challenge.user_id,
+      session: JSON.parse(decrypt(challenge.session_encrypted))
+    };
+  },
+
+  /**
+   * Get the roles that must use 2FA
+   * @returns {Promise<string[]>}
+   */
+  async getRequiredRoles() {
+    if (requiredRolesCache.roles && Date.now() - requiredRolesCache.loadedAt < SETTINGS_CACHE_MS) {
+      return requiredRolesCache.roles;
+    }
+
+    const { data, error } = await supabase
+      .from('app_settings')
+      .select('value')
+      .eq('key', 'mfa_required_roles')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    requiredRolesCache = { roles: data?.value || [], loadedAt: Date.now() };
+    return requiredRolesCache.roles;
+  },
+
+  /**
+   * Set the roles that must use 2FA
+   * @param {string[]} roles
+   * @param {string} updatedBy - ID of the admin
+   * @returns {Promise<string[]>}
+   */
+  async setRequiredRoles(roles, updatedBy) {
+    const { error } = await supabase
+      .from('app_settings')
+      .upsert({
+        key: 'mfa_required_roles',
+        value: roles,
+        updated_by: updatedBy,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'key' });
+
+    if (error) throw error;
+
+    requiredRolesCache = { roles, loadedAt: Date.now() };
+    return roles;
+  },
+
+  /**
+   * Check whether a user must enroll in 2FA before using privileged routes
+   * @param {Object} user - Profile data with id and role
+   * @returns {Promise<boolean>}
+   */
+  async isEnrollmentRequired(user) {
+    const requiredRoles = await this.getRequiredRoles();
+    if (!requiredRoles.includes(user.role)) return false;
+
+    return !await this.isEnabled(user.id);
+  }
+};
+
+export default MfaModel;
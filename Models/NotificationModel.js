@@ -0,0 +1,76 @@
+import supabase from '../Utils/supabaseClient.js';
+
+const NotificationModel = {
+  /**
+   * Create an in-app notification for a user
+   * @param {string} userId
+   * @param {Object} notification
+   * @param {string} notification.type - Machine-readable type, e.g. 'data_export.ready'
+   * @param {string} notification.title
+   * @param {string} notification.message
+   * @param {Object} [notification.data] - Extra payload for the front end
+   * @returns {Promise<Object>}
+   */
+  async createNotification(userId, { type, title, message, data = {} }) {
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: userId,
+        type,
+        title,
+        message,
+        data
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return notification;
+  },
+
+  /**
+   * Get notifications for a user, newest first
+   * @param {string} userId
+   * @param {Object} options
+   * @param {boolean} options.unreadOnly
+   * @returns {Promise<Array>}
+   */
+  async getUserNotifications(userId, { unreadOnly = false } = {}) {
+    let query = supabase
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Mark a notification as read
+   * @param {string} userId
+   * @param {string} notificationId
+   * @returns {Promise<Object|null>}
+   */
+  async markAsRead(userId, notificationId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+export default NotificationModel;
@@ -0,0 +1,164 @@
+import supabase from '../Utils/supabaseClient.js';
+import { decodeJwtPayload } from '../Utils/jwt.js';
+
+// Only write last_seen_at once per interval to avoid a DB write per request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const SessionModel = {
+  /**
+   * Get the Supabase session ID embedded in an access token
+   * @param {string} accessToken
+   * @returns {string|null}
+   */
+  getSessionId(accessToken) {
+    return decodeJwtPayload(accessToken)?.session_id || null;
+  },
+
+  /**
+   * Build a short device label from a user agent string
+   * @param {string} userAgent
+   * @returns {string}
+   */
+  describeDevice(userAgent = '') {
+    const browsers = [['Edg', 'Edge'], ['OPR', 'Opera'], ['Chrome', 'Chrome'], ['Firefox', 'Firefox'], ['Safari', 'Safari']];
+    const platforms = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([token]) => userAgent.includes(token))?.[1];
+    const platform = platforms.find(([token]) => userAgent.includes(token))?.[1];
+
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || 'Unknown device';
+  },
+
+  /**
+   * Record a newly issued session
+   * @param {Object} params
+   * @param {string} params.userId
+   * @param {string} params.accessToken - Access token of the new session
+   * @param {string} params.userAgent
+   * @param {string} params.ipAddress
+   * @returns {Promise<Object>} The stored session row
+   */
+  async recordSession({ userId, accessToken, userAgent, ipAddress }) {
+    const sessionId = this.getSessionId(accessToken);
+    if (!sessionId) throw new Error('Access token does not contain a session ID');
+
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .upsert({
+        session_id: sessionId,
+        user_id: userId,
+        device: this.describeDevice(userAgent),
+        user_agent: userAgent || null,
+        ip_address: ipAddress || null,
+        last_seen_at: now
+      }, { onConflict: 'session_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get a session by its Supabase session ID
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  async getSession(sessionId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Update last seen details for a session, at most once per interval
+   * @param {Object} session - Stored session row
+   * @param {Object} params
+   * @param {string} params.ipAddress
+   */
+  async touchSession(session, { ipAddress } = {}) {
+    const lastSeen = new Date(session.last_seen_at).getTime();
+    if (Date.now() - lastSeen < LAST_SEEN_INTERVAL_MS) return;
+
+    const { error } = await supabase
+      .from('user_sessions')
+      .update({
+        last_seen_at: new Date().toISOString(),
+        ...(ipAddress && { ip_address: ipAddress })
+      })
+      .eq('session_id', session.session_id);
+
+    if (error) console.error('Failed to update session last seen:', error);
+  },
+
+  /**
+   * List the active (not revoked) sessions of a user
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getActiveSessions(userId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('session_id, device, user_agent, ip_address, created_at, last_seen_at')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Mark a session as revoked. Tokens from a revoked session are rejected by
+   * the auth middleware and cannot be refreshed.
+   * @param {string} userId
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} The revoked session, or null if not found
+   */
+  async revokeSession(userId, sessionId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('session_id', sessionId)
+      .is('revoked_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Revoke every session of a user, optionally keeping one
+   * @param {string} userId
+   * @param {string} [exceptSessionId] - Session to keep active
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptSessionId) {
+      query = query.neq('session_id', exceptSessionId);
+    }
+
+    const { data, error } = await query.select('session_id');
+
+    if (error) throw error;
+    return data.length;
+  }
+};
+
+export default SessionModel;
@@ -1,5 +1,6 @@
 import Stripe from 'stripe';
 import supabase from '../Utils/supabaseClient.js';
+import { PLAN_FEATURES } from '../Utils/fileTypes.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const PRICE_ID = process.env.STRIPE_PRICE_ID;
@@ -76,12 +77,16 @@ const StripeModel = {
         }
     },
 
-    async createSubscriptionAfterSetup({ customerId, paymentMethodId, couponCode }) {
+    async createSubscriptionAfterSetup({ userId, customerId, paymentMethodId, couponCode }) {
         try {
             const customer = await stripe.customers.retrieve(customerId);
-            const userId = customer.metadata.userId;
             const planId = customer.metadata.planId;
 
+            // The customer must have been created for the authenticated user
+            if (customer.metadata.userId !== userId) {
+                throw new Error('Customer does not belong to this user');
+            }
+
             if (!planId) throw new Error('Missing planId in customer metadata');
 
             // Fetch plan
@@ -257,23 +262,12 @@ const StripeModel = {
             }
 
             // Validate features
-            const validFeatures = ['pdf', 'txt', 'docx', 'png', 'jpg'];
+            const validFeatures = PLAN_FEATURES;
             const invalidFeatures = features.filter(f => !validFeatures.includes(f));
             if (invalidFeatures.length > 0) {
                 throw new Error(`Invalid features: ${invalidFeatures.join(', ')}`);
             }
 
-            // Check if user is admin (optional - adjust based on your auth system)
-            const { data: userProfile, error: userError } = await supabase
-                .from('profiles')
-                .select('role')
-                .eq('user_id', userId)
-                .single();
-
-            if (userError) {
-                throw new Error('Failed to verify user permissions');
-            }
-
             // Create Stripe product
             const product = await stripe.products.create({
                 name: name,
@@ -441,6 +435,20 @@ const StripeModel = {
             throw error;
         }
     },
+    /**
+     * Get a single plan row by ID
+     */
+    async getPlanById(planId) {
+        const { data, error } = await supabase
+            .from('plans')
+            .select('*')
+            .eq('id', planId)
+            .maybeSingle();
+
+        if (error) throw new Error(`Failed to fetch plan: ${error.message}`);
+        return data;
+    },
+
     /**
      * Get all active plans
      */
@@ -1012,6 +1020,20 @@ const StripeModel = {
         }
     },
 
+    /**
+     * Get a single coupon row by ID
+     */
+    async getCouponById(couponId) {
+        const { data, error } = await supabase
+            .from('coupons')
+            .select('*')
+            .eq('id', couponId)
+            .maybeSingle();
+
+        if (error) throw new Error(`Failed to fetch coupon: ${error.message}`);
+        return data;
+    },
+
     /**
      * Update coupon status
      */
@@ -1194,6 +1216,58 @@ const StripeModel = {
         }
     },
 
+    /**
+     * Cancel every live subscription of a user and delete their Stripe customers
+     * (used when an account is deleted)
+     */
+    async cancelUserBilling(userId) {
+        try {
+            const { data: subscriptions, error } = await supabase
+                .from('subscriptions')
+                .select('stripe_subscription_id, stripe_customer_id, status')
+                .eq('user_id', userId);
+
+            if (error) throw error;
+
+            let cancelledSubscriptions = 0;
+            for (const subscription of subscriptions) {
+                if (!subscription.stripe_subscription_id || ['canceled', 'cancelled'].includes(subscription.status)) continue;
+
+                try {
+                    await stripe.subscriptions.cancel(subscription.stripe_subscription_id);
+                    cancelledSubscriptions++;
+                } catch (stripeError) {
+                    // Already cancelled or removed on the Stripe side
+                    if (stripeError.code !== 'resource_missing') throw stripeError;
+                }
+            }
+
+            // Customers are also created for checkouts that were never completed,
+            // so look them up by metadata as well as from stored subscriptions
+            const customerIds = new Set(subscriptions.map(s => s.stripe_customer_id).filter(Boolean));
+            const searchResult = await stripe.customers.search({
+                query: `metadata['userId']:'${userId}'`
+            });
+            searchResult.data.forEach(customer => customerIds.add(customer.id));
+
+            for (const customerId of customerIds) {
+                try {
+                    await stripe.customers.del(customerId);
+                } catch (stripeError) {
+                    if (stripeError.code !== 'resource_missing') throw stripeError;
+                }
+            }
+
+            return {
+                cancelledSubscriptions,
+                deletedCustomers: customerIds.size
+            };
+        } catch (error) {
+            console.error('Cancel user billing error:', error);
+            throw error;
+        }
+    },
+
     /**
      * Calculate discount amount based on coupon type
      */
@@ -0,0 +1,336 @@
+import supabase from '../Utils/supabaseClient.js';
+import { OpenAI } from 'openai';
+import { chunkText, countTokens } from '../Utils/chunker.js';
+import { withRetry, mapWithConcurrency } from '../Utils/retry.js';
+
+// Initialize OpenAI client
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || 'gpt-4o';
+
+// Text up to this size is summarized in one pass; longer text is split into
+// sections that are summarized first (map) and then combined (reduce)
+const SINGLE_PASS_TOKENS = 12000;
+const MAP_SECTION_TOKENS = 6000;
+const MAP_CONCURRENCY = 4;
+
+/**
+ * Summary lengths and the instruction each one adds to the final prompt
+ */
+export const SUMMARY_LENGTHS = {
+  short: 'Keep it short: around 100 words.',
+  medium: 'Aim for around 300 words.',
+  detailed: 'Be thorough: around 800 words, covering every major section.'
+};
+
+/**
+ * Summary styles and the instruction each one adds to the final prompt
+ */
+export const SUMMARY_STYLES = {
+  bullet_points: 'Write the summary as a list of concise bullet points.',
+  executive_brief: 'Write an executive brief: a one-sentence bottom line, then key findings, risks and recommended next steps.',
+  abstract: 'Write an academic-style abstract in continuous prose: purpose, method, findings and conclusions.'
+};
+
+/**
+ * Cache key of a summary for a set of options
+ */
+const cacheKey = ({ length, style, focus }) =>
+  `${length}:${style}:${(focus || '').trim().toLowerCase()}`;
+
+/**
+ * Run a single completion, retrying on rate limits and server errors. A
+ * reply cut off at maxTokens is incomplete (and, as JSON, unparseable), so
+ * it is requested once more with twice the room before giving up.
+ * @param {boolean} [json] - Ask for a JSON object and parse it
+ */
+const complete = async (system, user, maxTokens, { json = false } = {}) => {
+  for (const limit of [maxTokens, maxTokens * 2]) {
+    const completion = await withRetry(() => openai.chat.completions.create({
+      model: SUMMARY_MODEL,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user }
+      ],
+      temperature: json ? 0 : 0.3,
+      max_tokens: limit,
+      ...(json && { response_format: { type: 'json_object' } })
+    }, { maxRetries: 0 }));
+
+    const [choice] = completion.choices;
+    if (choice.finish_reason === 'length') continue;
+
+    const content = choice.message.content.trim();
+    return json ? JSON.parse(content) : content;
+  }
+
+  throw new Error(`The model's reply did not fit in ${maxTokens * 2} tokens`);
+};
+
+/**
+ * Split items into consecutive groups whose JSON fits in maxTokens. Every
+ * group holds at least two items (unless one is left), so merging the
+ * groups always leaves fewer items than before.
+ * @param {Array} items
+ * @param {number} maxTokens
+ * @returns {Array<Array>}
+ */
+const groupByTokens = (items, maxTokens) => {
+  const groups = [];
+  let group = [];
+  let tokens = 0;
+
+  for (const item of items) {
+    const itemTokens = countTokens(JSON.stringify(item));
+
+    if (group.length >= 2 && tokens + itemTokens > maxTokens) {
+      groups.push(group);
+      group = [];
+      tokens = 0;
+    }
+
+    group.push(item);
+    tokens += itemTokens;
+  }
+
+  if (group.length > 0) groups.push(group);
+  return groups;
+};
+
+// Shape of the structured insights, described to the model
+const INSIGHTS_SCHEMA = `{
+  "outline": [{ "title": string, "level": number (1 = top level), "startPage": number|null, "endPage": number|null }],
+  "keyPoints": [string],
+  "entities": {
+    "people": [string],
+    "organizations": [string],
+    "dates": [{ "date": string, "context": string }],
+    "amounts": [{ "amount": string, "context": string }]
+  },
+  "actionItems": [{ "task": string, "owner": string|null, "due": string|null }]
+}`;
+
+/**
+ * Make sure parsed insights have every field, whatever the model returned
+ */
+const normalizeInsights = (raw = {}) => {
+  const list = (value) => (Array.isArray(value) ? value : []);
+
+  return {
+    outline: list(raw.outline).map(section => ({
+      title: String(section.title || '').trim(),
+      level: Number.isInteger(section.level) ? section.level : 1,
+      startPage: Number.isInteger(section.startPage) ? section.startPage : null,
+      endPage: Number.isInteger(section.endPage) ? section.endPage : null
+    })).filter(section => section.title),
+    keyPoints: list(raw.keyPoints).map(String),
+    entities: {
+      people: list(raw.entities?.people).map(String),
+      organizations: list(raw.entities?.organizations).map(String),
+      dates: list(raw.entities?.dates),
+      amounts: list(raw.entities?.amounts)
+    },
+    actionItems: list(raw.actionItems)
+  };
+};
+
+/**
+ * Insert [Page N] markers at the start of every page so the model can tell
+ * which pages a section spans
+ */
+const withPageMarkers = (text, pageOffsets) => {
+  if (!pageOffsets?.length) return text;
+
+  return pageOffsets
+    .map((start, index) => `[Page ${index + 1}]\n${text.slice(start, pageOffsets[index + 1] ?? text.length)}`)
+    .join('\n');
+};
+
+/**
+ * Instruction that steers every step towards the focus topic
+ */
+const focusInstruction = (focus) => focus
+  ? `Pay particular attention to anything about: ${focus}. Mention briefly if the text says nothing about it.`
+  : '';
+
+const SummaryModel = {
+  /**
+   * Summarize a whole document with map-reduce. Results are cached on the
+   * document per set of options until the document is processed again.
+   * @param {Object} document - Document row with content and summaries
+   * @param {Object} options
+   * @param {string} options.length - Key of SUMMARY_LENGTHS
+   * @param {string} options.style - Key of SUMMARY_STYLES
+   * @param {string} [options.focus] - Topic to focus on
+   * @param {boolean} [options.regenerate] - Ignore a cached summary
+   * @returns {Promise<Object>} The summary with its options and whether it was cached
+   */
+  async summarizeDocument(document, { length, style, focus = null, regenerate = false }) {
+    const key = cacheKey({ length, style, focus });
+    const cached = document.summaries?.[key];
+
+    // A summary made before the document was last processed is stale
+    if (this.isFresh(document, cached) && !regenerate) return { ...cached, cached: true };
+
+    const notes = await this.condense(document.content, focus);
+
+    const summary = await complete(
+      'You write accurate summaries of documents. Only use information from the provided text.',
+      [
+        `Summarize the document "${document.filename}" from the notes below.`,
+        SUMMARY_STYLES[style],
+        SUMMARY_LENGTHS[length],
+        focusInstruction(focus),
+        '',
+        notes
+      ].join('\n'),
+      length === 'detailed' ? 1600 : 800
+    );
+
+    const result = {
+      summary,
+      length,
+      style,
+      focus: focus || null,
+      model: SUMMARY_MODEL,
+      generatedAt: new Date().toISOString()
+    };
+
+    // Only this key is written, other summaries may be generated meanwhile
+    const { error } = await supabase.rpc('set_document_summary', {
+      document_id: document.id,
+      summary_key: key,
+      summary: result
+    });
+
+    if (error) throw error;
+
+    return { ...result, cached: false };
+  },
+
+  /**
+   * Extract a structured view of a document: outline with page ranges, key
+   * points, named entities and action items. Stored on the document so it
+   * can be shown again without another model run.
+   * @param {Object} document - Document row with content, page_offsets and insights
+   * @param {Object} [options]
+   * @param {boolean} [options.regenerate] - Ignore stored insights
+   * @returns {Promise<Object>} The insights and whether they were cached
+   */
+  async extractInsights(document, { regenerate = false } = {}) {
+    if (this.isFresh(document, document.insights) && !regenerate) {
+      return { ...document.insights, cached: true };
+    }
+
+    const text = withPageMarkers(document.content, document.page_offsets);
+    const system = `You extract structured information from documents. Reply with a JSON object of this shape:\n${INSIGHTS_SCHEMA}\nOnly include information stated in the text. Use the [Page N] markers for page numbers, or null if there are none.`;
+
+    let insights;
+    if (countTokens(text) <= SINGLE_PASS_TOKENS) {
+      insights = await complete(system, text, 3000, { json: true });
+    } else {
+      // Map: extract from each section. Reduce: merge the partial results.
+      const sections = chunkText(text, { maxTokens: MAP_SECTION_TOKENS, overlapTokens: 0 });
+
+      const partials = await mapWithConcurrency(sections, MAP_CONCURRENCY, (section, index) => complete(
+        system,
+        `This is part ${index + 1} of ${sections.length} of the document.\n\n${section.content}`,
+        2000,
+        { json: true }
+      ));
+
+      insights = await this.mergeInsights(partials.map(normalizeInsights), system);
+    }
+
+    const result = {
+      ...normalizeInsights(insights),
+      model: SUMMARY_MODEL,
+      generatedAt: new Date().toISOString()
+    };
+
+    const { error } = await supabase
+      .from('documents')
+      .update({ insights: result })
+      .eq('id', document.id);
+
+    if (error) throw error;
+
+    return { ...result, cached: false };
+  },
+
+  /**
+   * Merge insights extracted from consecutive parts of a document. Partial
+   * results are merged in groups that fit in a single prompt, and the
+   * merged groups again, until one result is left.
+   * @param {Object[]} partials - Normalized insights, in document order
+   * @param {string} system - The extraction system prompt
+   * @returns {Promise<Object>}
+   */
+  async mergeInsights(partials, system) {
+    let current = partials;
+
+    while (current.length > 1) {
+      const groups = groupByTokens(current, SINGLE_PASS_TOKENS);
+
+      current = await mapWithConcurrency(groups, MAP_CONCURRENCY, async (group) => {
+        if (group.length === 1) return group[0];
+
+        return normalizeInsights(await complete(
+          `${system}\nYou are given partial results extracted from consecutive parts of one document. Merge them: combine sections split across parts (widening their page ranges), remove duplicates and keep the most important key points.`,
+          JSON.stringify(group),
+          3000,
+          { json: true }
+        ));
+      });
+    }
+
+    return current[0];
+  },
+
+  /**
+   * Whether a stored result was generated after the document was last processed.
+   * Compared as times: Postgres returns processed_at with an offset and
+   * microseconds, generatedAt is an ISO string in UTC.
+   * @param {Object} document
+   * @param {Object|null} result - Stored summary or insights with generatedAt
+   * @returns {boolean}
+   */
+  isFresh(document, result) {
+    return !!result && (!document.processed_at || Date.parse(result.generatedAt) >= Date.parse(document.processed_at));
+  },
+
+  /**
+   * Reduce a text to notes that fit in a single prompt: summarize sections
+   * in parallel, then combine the section summaries until they fit
+   * @param {string} text
+   * @param {string|null} focus
+   * @returns {Promise<string>}
+   */
+  async condense(text, focus) {
+    let current = text;
+
+    while (countTokens(current) > SINGLE_PASS_TOKENS) {
+      const sections = chunkText(current, { maxTokens: MAP_SECTION_TOKENS, overlapTokens: 0 });
+
+      const partials = await mapWithConcurrency(sections, MAP_CONCURRENCY, (section, index) => complete(
+        'You condense parts of a longer document into dense notes for a later summary.',
+        [
+          `This is part ${index + 1} of ${sections.length}.`,
+          'Write dense notes keeping key facts, figures, names, dates, decisions and conclusions.',
+          focusInstruction(focus),
+          '',
+          section.content
+        ].join('\n'),
+        700
+      ));
+
+      current = partials.join('\n\n');
+    }
+
+    return current;
+  }
+};
+
+export default SummaryModel;
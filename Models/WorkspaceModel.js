@@ -0,0 +1,574 @@
+import supabase from '../Utils/supabaseClient.js';
+import NotificationModel from './NotificationModel.js';
+
+/**
+ * Workspace member roles, ranked so a check for 'editor' also lets owners in
+ */
+export const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+// Invitations are valid for this long
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+const roleRank = (role) => WORKSPACE_ROLES.indexOf(role);
+
+const WorkspaceModel = {
+  /**
+   * Create a workspace with the user as its owner
+   * @param {string} userId
+   * @param {string} name
+   * @returns {Promise<Object>}
+   */
+  async createWorkspace(userId, name) {
+    const { data: workspace, error } = await supabase
+      .from('workspaces')
+      .insert({ name, owner_id: userId })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: memberError } = await supabase
+      .from('workspace_members')
+      .insert({ workspace_id: workspace.id, user_id: userId, role: 'owner' });
+
+    if (memberError) {
+      await supabase.from('workspaces').delete().eq('id', workspace.id);
+      throw memberError;
+    }
+
+    return { ...workspace, role: 'owner' };
+  },
+
+  /**
+   * Get the workspaces a user belongs to, with their role in each
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getUserWorkspaces(userId) {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select(`
+        role,
+        workspaces (*)
+      `)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data.map(({ role, workspaces }) => ({ ...workspaces, role }));
+  },
+
+  /**
+   * Get a user's role in a workspace
+   * @param {string} workspaceId
+   * @param {string} userId
+   * @returns {Promise<string|null>} The role, or null if not a member
+   */
+  async getMemberRole(workspaceId, userId) {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.role || null;
+  },
+
+  /**
+   * Check whether a user has at least the given role in a workspace
+   * @param {string} workspaceId
+   * @param {string} userId
+   * @param {string} minimumRole - 'viewer', 'editor' or 'owner'
+   * @returns {Promise<boolean>}
+   */
+  async hasRole(workspaceId, userId, minimumRole = 'viewer') {
+    const role = await this.getMemberRole(workspaceId, userId);
+    return !!role && roleRank(role) >= roleRank(minimumRole);
+  },
+
+  /**
+   * Compare two roles
+   * @param {string} role
+   * @param {string} minimumRole
+   * @returns {boolean} True if role is at least minimumRole
+   */
+  isAtLeast(role, minimumRole) {
+    return !!role && roleRank(role) >= roleRank(minimumRole);
+  },
+
+  /**
+   * Get a workspace with its members, if the user belongs to it
+   * @param {string} workspaceId
+   * @param {string} userId
+   * @returns {Promise<Object|null>}
+   */
+  async getWorkspace(workspaceId, userId) {
+    const role = await this.getMemberRole(workspaceId, userId);
+    if (!role) return null;
+
+    const { data: workspace, error } = await supabase
+      .from('workspaces')
+      .select('*')
+      .eq('id', workspaceId)
+      .single();
+
+    if (error) throw error;
+
+    const { data: members, error: membersError } = await supabase
+      .from('workspace_members')
+      .select(`
+        user_id,
+        role,
+        created_at,
+        profiles (email, username)
+      `)
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true });
+
+    if (membersError) throw membersError;
+
+    return {
+      ...workspace,
+      role,
+      members: members.map(member => ({
+        userId: member.user_id,
+        email: member.profiles?.email,
+        username: member.profiles?.username,
+        role: member.role,
+        joinedAt: member.created_at
+      }))
+    };
+  },
+
+  /**
+   * Rename a workspace
+   * @param {string} workspaceId
+   * @param {string} name
+   * @returns {Promise<Object>}
+   */
+  async renameWorkspace(workspaceId, name) {
+    const { data, error } = await supabase
+      .from('workspaces')
+      .update({ name })
+      .eq('id', workspaceId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Delete a workspace. Documents must be removed first.
+   * @param {string} workspaceId
+   */
+  async deleteWorkspace(workspaceId) {
+    const { count, error: countError } = await supabase
+      .from('documents')
+      .select('*', { count: 'exact', head: true })
+      .eq('workspace_id', workspaceId);
+
+    if (countError) throw countError;
+    if (count > 0) throw new Error('Delete or move the workspace documents before deleting it');
+
+    const { data: chats, error: chatsError } = await supabase
+      .from('chats')
+      .select('id')
+      .eq('workspace_id', workspaceId);
+
+    if (chatsError) throw chatsError;
+
+    if (chats.length > 0) {
+      const { error: messagesError } = await supabase
+        .from('chat_messages')
+        .delete()
+        .in('chat_id', chats.map(chat => chat.id));
+
+      if (messagesError) throw messagesError;
+    }
+
+    for (const table of ['chats', 'workspace_invitations', 'workspace_members']) {
+      const { error } = await supabase.from(table).delete().eq('workspace_id', workspaceId);
+      if (error) throw error;
+    }
+
+    const { error } = await supabase.from('workspaces').delete().eq('id', workspaceId);
+    if (error) throw error;
+  },
+
+  /**
+   * Invite someone to a workspace by email. Existing users get an in-app
+   * notification; new users get a Supabase invite email and a profile.
+   * @param {string} workspaceId
+   * @param {Object} inviter - The authenticated user (req.user)
+   * @param {Object} invitation
+   * @param {string} invitation.email
+   * @param {string} invitation.role - 'viewer' or 'editor'
+   * @returns {Promise<Object>} The invitation
+   */
+  async inviteMember(workspaceId, inviter, { email, role }) {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const { data: workspace, error: workspaceError } = await supabase
+      .from('workspaces')
+      .select('id, name')
+      .eq('id', workspaceId)
+      .single();
+
+    if (workspaceError) throw workspaceError;
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('user_id')
+      .eq('email', normalizedEmail)
+      .maybeSingle();
+
+    if (profileError) throw profileError;
+
+    if (profile && await this.getMemberRole(workspaceId, profile.user_id)) {
+      throw new Error('This user is already a member of the workspace');
+    }
+
+    const { data: invitation, error } = await supabase
+      .from('workspace_invitations')
+      .insert({
+        workspace_id: workspaceId,
+        email: normalizedEmail,
+        role,
+        invited_by: inviter.id,
+        expires_at: new Date(Date.now() + INVITATION_TTL_MS).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (profile) {
+      await NotificationModel.createNotification(profile.user_id, {
+        type: 'workspace.invitation',
+        title: `You've been invited to ${workspace.name}`,
+        message: `${inviter.username || inviter.email} invited you to join ${workspace.name} as ${role}.`,
+        data: { invitationId: invitation.id, workspaceId }
+      });
+    } else {
+      try {
+        // Creates the auth user and sends the invite email
+        const { data: invited, error: inviteError } = await supabase.auth.admin.inviteUserByEmail(normalizedEmail, {
+          redirectTo: process.env.WORKSPACE_INVITE_REDIRECT_URL,
+          data: { workspace_id: workspaceId }
+        });
+
+        if (inviteError) throw inviteError;
+
+        const { error: newProfileError } = await supabase
+          .from('profiles')
+          .insert({
+            user_id: invited.user.id,
+            email: normalizedEmail,
+            username: normalizedEmail.split('@')[0],
+            status: 'free',
+            role: 'user'
+          });
+
+        if (newProfileError) throw newProfileError;
+      } catch (inviteError) {
+        // Do not leave an invitation behind that nobody was told about
+        const { error: deleteError } = await supabase
+          .from('workspace_invitations')
+          .delete()
+          .eq('id', invitation.id);
+
+        if (deleteError) console.error('Failed to remove workspace invitation:', deleteError);
+        throw inviteError;
+      }
+    }
+
+    return invitation;
+  },
+
+  /**
+   * Get the pending invitations of a workspace
+   * @param {string} workspaceId
+   * @returns {Promise<Array>}
+   */
+  async getWorkspaceInvitations(workspaceId) {
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .is('accepted_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get the pending invitations addressed to a user's email
+   * @param {string} email
+   * @returns {Promise<Array>}
+   */
+  async getPendingInvitations(email) {
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .select(`
+        *,
+        workspaces (id, name)
+      `)
+      .eq('email', email.toLowerCase())
+      .is('accepted_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Accept an invitation addressed to the user's email
+   * @param {string} invitationId
+   * @param {Object} user - The authenticated user (req.user)
+   * @returns {Promise<Object|null>} The joined workspace, or null if the invitation is not valid
+   */
+  async acceptInvitation(invitationId, user) {
+    const { data: invitation, error } = await supabase
+      .from('workspace_invitations')
+      .select('*')
+      .eq('id', invitationId)
+      .eq('email', user.email.toLowerCase())
+      .is('accepted_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!invitation) return null;
+
+    // Someone who is already a member keeps their role
+    const { error: memberError } = await supabase
+      .from('workspace_members')
+      .upsert({
+        workspace_id: invitation.workspace_id,
+        user_id: user.id,
+        role: invitation.role
+      }, { onConflict: 'workspace_id,user_id', ignoreDuplicates: true });
+
+    if (memberError) throw memberError;
+
+    // Only marked accepted once the membership exists, so a failure above
+    // leaves the invitation usable
+    const { error: acceptError } = await supabase
+      .from('workspace_invitations')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', invitation.id)
+      .is('accepted_at', null);
+
+    if (acceptError) throw acceptError;
+
+    return this.getWorkspace(invitation.workspace_id, user.id);
+  },
+
+  /**
+   * Withdraw a pending invitation
+   * @param {string} workspaceId
+   * @param {string} invitationId
+   * @returns {Promise<boolean>}
+   */
+  async revokeInvitation(workspaceId, invitationId) {
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .delete()
+      .eq('id', invitationId)
+      .eq('workspace_id', workspaceId)
+      .is('accepted_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  /**
+   * Count the owners of a workspace
+   */
+  async countOwners(workspaceId) {
+    const { count, error } = await supabase
+      .from('workspace_members')
+      .select('*', { count: 'exact', head: true })
+      .eq('workspace_id', workspaceId)
+      .eq('role', 'owner');
+
+    if (error) throw error;
+    return count;
+  },
+
+  /**
+   * Change a member's role
+   * @param {string} workspaceId
+   * @param {string} userId
+   * @param {string} role
+   * @returns {Promise<Object|null>} The membership, or null if not a member
+   */
+  async updateMemberRole(workspaceId, userId, role) {
+    const currentRole = await this.getMemberRole(workspaceId, userId);
+    if (!currentRole) return null;
+
+    if (currentRole === 'owner' && role !== 'owner' && await this.countOwners(workspaceId) <= 1) {
+      throw new Error('A workspace must keep at least one owner');
+    }
+
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .update({ role })
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Remove a member. Their chats in the workspace, shared ones included, go
+   * with them; documents they uploaded stay with the workspace.
+   * @param {string} workspaceId
+   * @param {string} userId
+   * @returns {Promise<boolean>} False if not a member
+   */
+  async removeMember(workspaceId, userId) {
+    const role = await this.getMemberRole(workspaceId, userId);
+    if (!role) return false;
+
+    if (role === 'owner' && await this.countOwners(workspaceId) <= 1) {
+      throw new Error('A workspace must keep at least one owner');
+    }
+
+    const { data: chats, error: chatsError } = await supabase
+      .from('chats')
+      .select('id')
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId);
+
+    if (chatsError) throw chatsError;
+
+    if (chats.length > 0) {
+      const chatIds = chats.map(chat => chat.id);
+
+      const { error: messagesError } = await supabase
+        .from('chat_messages')
+        .delete()
+        .in('chat_id', chatIds);
+
+      if (messagesError) throw messagesError;
+
+      const { error: deleteChatsError } = await supabase
+        .from('chats')
+        .delete()
+        .in('id', chatIds);
+
+      if (deleteChatsError) throw deleteChatsError;
+    }
+
+    const { error } = await supabase
+      .from('workspace_members')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Take a user out of all their workspaces before their account is deleted.
+   * Where others remain, the user's documents are handed to an owner
+   * (promoting the longest-standing member if the user was the only owner).
+   * Documents the user left behind in workspaces they already left are
+   * handed over the same way.
+   * @param {string} userId
+   * @returns {Promise<string[]>} IDs of workspaces nobody else is in, to be
+   *   deleted together with the account
+   */
+  async handOverUserWorkspaces(userId) {
+    const { data: memberships, error } = await supabase
+      .from('workspace_members')
+      .select('workspace_id, role')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const { data: workspaceDocuments, error: workspaceDocumentsError } = await supabase
+      .from('documents')
+      .select('workspace_id')
+      .eq('user_id', userId)
+      .not('workspace_id', 'is', null);
+
+    if (workspaceDocumentsError) throw workspaceDocumentsError;
+
+    const workspaceIds = new Set([
+      ...memberships.map(membership => membership.workspace_id),
+      ...workspaceDocuments.map(document => document.workspace_id)
+    ]);
+
+    const abandoned = [];
+
+    for (const workspaceId of workspaceIds) {
+      const { data: others, error: othersError } = await supabase
+        .from('workspace_members')
+        .select('user_id, role')
+        .eq('workspace_id', workspaceId)
+        .neq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+      if (othersError) throw othersError;
+
+      if (others.length === 0) {
+        abandoned.push(workspaceId);
+        continue;
+      }
+
+      let owner = others.find(member => member.role === 'owner');
+      if (!owner) {
+        owner = others.find(member => member.role === 'editor') || others[0];
+
+        const { error: promoteError } = await supabase
+          .from('workspace_members')
+          .update({ role: 'owner' })
+          .eq('workspace_id', workspaceId)
+          .eq('user_id', owner.user_id);
+
+        if (promoteError) throw promoteError;
+      }
+
+      const { error: documentsError } = await supabase
+        .from('documents')
+        .update({ user_id: owner.user_id })
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId);
+
+      if (documentsError) throw documentsError;
+
+      const { error: workspaceError } = await supabase
+        .from('workspaces')
+        .update({ owner_id: owner.user_id })
+        .eq('id', workspaceId)
+        .eq('owner_id', userId);
+
+      if (workspaceError) throw workspaceError;
+
+      const { error: removeError } = await supabase
+        .from('workspace_members')
+        .delete()
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId);
+
+      if (removeError) throw removeError;
+    }
+
+    return abandoned;
+  }
+};
+
+export default WorkspaceModel;
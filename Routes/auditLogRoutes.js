@@ -0,0 +1,16 @@
+import express from 'express';
+import auditLogController from '../Controllers/auditLogController.js';
+import { requirePermission } from '../Middleware/authorize.js';
+import { PERMISSIONS } from '../Utils/permissions.js';
+
+const router = express.Router();
+
+router.use(requirePermission(PERMISSIONS.AUDIT_READ));
+
+// Query the audit log
+router.get('/', auditLogController.getLogs);
+
+// Export the audit log (?format=csv|json)
+router.get('/export', auditLogController.exportLogs);
+
+export default router;
@@ -1,15 +1,49 @@
 import express from 'express';
 import authController from '../Controllers/authController.js';
+import apiKeyController from '../Controllers/apiKeyController.js';
+import mfaController from '../Controllers/mfaController.js';
+import { authenticate } from '../Middleware/authMiddleware.js';
+import { requirePermission, requireSelfOrPermission } from '../Middleware/authorize.js';
+import { PERMISSIONS } from '../Utils/permissions.js';
+import { loginLimiter, accountEmailLimiter, refreshLimiter } from '../Middleware/rateLimiter.js';
 
 const router = express.Router();
 
 // Authentication routes
-router.post('/signup', authController.signup);
-router.post('/login', authController.login);
-router.get('/user/:userId', authController.getUserById);
-router.get('/users', authController.getAllUsers);
-router.put('/user/:userId/username', authController.changeUserNameByUserId);
-router.post('/logout', authController.logout);
-router.delete('/delete/:userId', authController.deleteAccount);
+router.post('/signup', accountEmailLimiter, authController.signup);
+router.post('/login', loginLimiter, authController.login);
+router.post('/login/mfa', loginLimiter, authController.loginWithMfa);
+router.get('/user/:userId', authenticate, requireSelfOrPermission('userId', PERMISSIONS.USERS_READ), authController.getUserById);
+router.get('/users', authenticate, requirePermission(PERMISSIONS.USERS_READ), authController.getAllUsers);
+router.get('/users/:userId/stats', authenticate, requirePermission(PERMISSIONS.USERS_READ), authController.getUserStats);
+router.patch('/users/:userId/suspend', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), authController.suspendUser);
+router.patch('/users/:userId/unsuspend', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), authController.unsuspendUser);
+router.patch('/users/:userId/role', authenticate, requirePermission(PERMISSIONS.ROLES_MANAGE), authController.changeUserRole);
+router.put('/user/:userId/username', authenticate, requireSelfOrPermission('userId', PERMISSIONS.USERS_MANAGE), authController.changeUserNameByUserId);
+router.post('/password/forgot', accountEmailLimiter, authController.forgotPassword);
+router.post('/password/reset', loginLimiter, authController.resetPassword);
+router.post('/verification/resend', accountEmailLimiter, authController.resendVerification);
+router.put('/email', authenticate, authController.changeEmail);
+router.get('/mfa', authenticate, mfaController.getStatus);
+router.post('/mfa/enroll', authenticate, mfaController.startEnrollment);
+router.post('/mfa/enroll/verify', authenticate, mfaController.confirmEnrollment);
+router.post('/mfa/recovery-codes', authenticate, mfaController.regenerateRecoveryCodes);
+router.post('/mfa/disable', authenticate, mfaController.disable);
+router.get('/mfa/enforcement', authenticate, requirePermission(PERMISSIONS.SECURITY_MANAGE), mfaController.getEnforcement);
+router.put('/mfa/enforcement', authenticate, requirePermission(PERMISSIONS.SECURITY_MANAGE), mfaController.setEnforcement);
+router.post('/refresh', refreshLimiter, authController.refresh);
+router.post('/logout', authenticate, authController.logout);
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions', authenticate, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticate, authController.revokeSession);
+router.post('/api-keys', authenticate, apiKeyController.createKey);
+router.get('/api-keys', authenticate, apiKeyController.getKeys);
+router.delete('/api-keys/:keyId', authenticate, apiKeyController.revokeKey);
+router.post('/export', authenticate, authController.requestDataExport);
+router.get('/export/:exportId', authenticate, authController.getDataExport);
+router.get('/export/:exportId/download', authenticate, authController.downloadDataExport);
+router.delete('/delete/:userId', authenticate, requireSelfOrPermission('userId', PERMISSIONS.USERS_MANAGE), authController.deleteAccount);
+router.get('/delete/:userId', authenticate, requireSelfOrPermission('userId', PERMISSIONS.USERS_MANAGE), authController.getAccountDeletion);
+router.post('/delete/:userId/cancel', authenticate, requireSelfOrPermission('userId', PERMISSIONS.USERS_MANAGE), authController.cancelAccountDeletion);
 
 export default router;
\ No newline at end of file
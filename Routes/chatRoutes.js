@@ -1,5 +1,6 @@
 import express from 'express';
 import chatController from '../Controllers/chatController.js';
+import { messageLimiter } from '../Middleware/rateLimiter.js';
 
 const router = express.Router();
 
@@ -21,7 +22,10 @@ router.get("/export/allchats", chatController.exportChats)
 // Get a specific chat with its messages
 router.get('/:id', chatController.getChat);
 
+// Share a chat with its workspace or make it private
+router.patch('/:id/visibility', chatController.updateVisibility);
+
 // Send a message in a chat
-router.post('/:id/messages', chatController.sendMessage);
+router.post('/:id/messages', messageLimiter, chatController.sendMessage);
 
 export default router;
\ No newline at end of file
@@ -1,10 +1,16 @@
 import express from 'express';
-import documentController, { upload } from '../Controllers/documentController.js';
+import documentController, { upload, uploadBatch } from '../Controllers/documentController.js';
+import { uploadLimiter, summaryLimiter } from '../Middleware/rateLimiter.js';
 
 const router = express.Router();
 
 // Upload a new document
-router.post('/upload', upload.single('pdf'), documentController.uploadDocument);
+router.post('/upload', uploadLimiter, upload.single('pdf'), documentController.uploadDocument);
+
+// Upload several documents or ZIP archives at once. Every file is counted
+// against the upload limit by the controller; callers with no uploads left
+// are refused before the files are received.
+router.post('/upload/batch', uploadLimiter.requireRemaining, uploadBatch.array('files'), documentController.uploadDocuments);
 
 // Get all documents for the user
 router.get('/', documentController.getUserDocuments);
@@ -12,4 +18,29 @@ router.get('/', documentController.getUserDocuments);
 // Get a specific document
 router.get('/:id', documentController.getDocument);
 
+// Rename a document or change its description
+router.patch('/:id', documentController.updateDocument);
+
+// Delete a document with its embeddings, chats and file
+router.delete('/:id', documentController.deleteDocument);
+
+// Get a short-lived link to download the original file
+router.get('/:id/download', documentController.getDownloadUrl);
+
+// Get the processing status of a document
+router.get('/:id/status', documentController.getDocumentStatus);
+
+// Retry processing of a failed document
+router.post('/:id/retry', documentController.retryDocument);
+
+// Rebuild the embeddings of a document from its stored text
+router.post('/:id/reindex', documentController.reindexDocument);
+
+// Summarize a document
+router.post('/:id/summary', summaryLimiter, documentController.summarizeDocument);
+
+// Structured outline, key points, entities and action items
+router.get('/:id/insights', documentController.getDocumentInsights);
+router.post('/:id/insights', summaryLimiter, documentController.generateDocumentInsights);
+
 export default router;
\ No newline at end of file
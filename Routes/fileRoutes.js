@@ -0,0 +1,9 @@
+import express from 'express';
+import fileController from '../Controllers/fileController.js';
+
+const router = express.Router();
+
+// Download a locally stored file with a signed, expiring link
+router.get('/:token', fileController.downloadFile);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import notificationController from '../Controllers/notificationController.js';
+
+const router = express.Router();
+
+// Get notifications for the user
+router.get('/', notificationController.getNotifications);
+
+// Mark a notification as read
+router.patch('/:id/read', notificationController.markAsRead);
+
+export default router;
@@ -1,29 +1,34 @@
 import express from 'express';
 import StripeController from '../Controllers/stripeController.js';
+import { authenticate } from '../Middleware/authMiddleware.js';
+import { requirePermission } from '../Middleware/authorize.js';
+import { PERMISSIONS } from '../Utils/permissions.js';
 
 const router = express.Router();
 
+const canManageBilling = [authenticate, requirePermission(PERMISSIONS.BILLING_MANAGE)];
+const canReadBilling = [authenticate, requirePermission(PERMISSIONS.BILLING_READ)];
 
-router.post('/create-subscription', StripeController.createSubscription);
-router.post('/create-subscription-after-setup', StripeController.createSubscriptionAfterSetup);
+router.post('/create-subscription', authenticate, StripeController.createSubscription);
+router.post('/create-subscription-after-setup', authenticate, StripeController.createSubscriptionAfterSetup);
 
-router.post('/plans', StripeController.createPlan);
+router.post('/plans', canManageBilling, StripeController.createPlan);
 router.get('/plans', StripeController.getActivePlans);
-router.delete('/plans/:planId', StripeController.deletePlan);
-router.patch('/plans/:planId/status', StripeController.updatePlanStatus);
-router.put('/plans/:planId', StripeController.updatePlan);
+router.delete('/plans/:planId', canManageBilling, StripeController.deletePlan);
+router.patch('/plans/:planId/status', canManageBilling, StripeController.updatePlanStatus);
+router.put('/plans/:planId', canManageBilling, StripeController.updatePlan);
 
-router.post('/coupons', StripeController.createCoupon);
+router.post('/coupons', canManageBilling, StripeController.createCoupon);
 // this api expects params in query string
-router.get('/coupons', StripeController.getCoupons);
-router.get('/coupons/all', StripeController.getAllCoupons);
-router.get('/subscriptions/all', StripeController.getAllSubscriptions);
-router.get('/subscriptions/active', StripeController.getActiveSubscription);
+router.get('/coupons', canReadBilling, StripeController.getCoupons);
+router.get('/coupons/all', canReadBilling, StripeController.getAllCoupons);
+router.get('/subscriptions/all', authenticate, requirePermission(PERMISSIONS.SUBSCRIPTIONS_READ), StripeController.getAllSubscriptions);
+router.get('/subscriptions/active', authenticate, StripeController.getActiveSubscription);
 router.get('/coupons/active', StripeController.getActiveCoupons);
 router.get('/coupons/validate/:code', StripeController.validateCoupon);
-router.patch('/coupons/:couponId/status', StripeController.updateCouponStatus);
-router.delete('/coupons/:couponId', StripeController.deleteCoupon);
-router.get('/coupons/:couponId/usage', StripeController.getCouponUsage);
+router.patch('/coupons/:couponId/status', canManageBilling, StripeController.updateCouponStatus);
+router.delete('/coupons/:couponId', canManageBilling, StripeController.deleteCoupon);
+router.get('/coupons/:couponId/usage', canReadBilling, StripeController.getCouponUsage);
 
 // Raw body for Stripe webhook
 router.post(
@@ -0,0 +1,31 @@
+import express from 'express';
+import workspaceController from '../Controllers/workspaceController.js';
+import { requireWorkspaceRole } from '../Middleware/authorize.js';
+
+const router = express.Router();
+
+// Create a workspace
+router.post('/', workspaceController.createWorkspace);
+
+// Get the workspaces of the user
+router.get('/', workspaceController.getWorkspaces);
+
+// Invitations addressed to the user
+router.get('/invitations', workspaceController.getMyInvitations);
+router.post('/invitations/:invitationId/accept', workspaceController.acceptInvitation);
+
+// Workspace details and settings
+router.get('/:workspaceId', requireWorkspaceRole('viewer'), workspaceController.getWorkspace);
+router.patch('/:workspaceId', requireWorkspaceRole('owner'), workspaceController.renameWorkspace);
+router.delete('/:workspaceId', requireWorkspaceRole('owner'), workspaceController.deleteWorkspace);
+
+// Invite members
+router.post('/:workspaceId/invitations', requireWorkspaceRole('owner'), workspaceController.inviteMember);
+router.get('/:workspaceId/invitations', requireWorkspaceRole('owner'), workspaceController.getWorkspaceInvitations);
+router.delete('/:workspaceId/invitations/:invitationId', requireWorkspaceRole('owner'), workspaceController.revokeInvitation);
+
+// Manage members (any member can remove themselves)
+router.patch('/:workspaceId/members/:userId', requireWorkspaceRole('owner'), workspaceController.updateMemberRole);
+router.delete('/:workspaceId/members/:userId', requireWorkspaceRole('viewer'), workspaceController.removeMember);
+
+export default router;
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import JSZip from 'jszip';
+
+/**
+ * Limits for reading the parts of ZIP-based documents (Office files, EPUB
+ * books). A few KB of compressed data can expand to gigabytes, so nothing
+ * is inflated without them.
+ */
+export const ZIP_PART_LIMITS = {
+  maxEntries: 10000,
+  maxEntrySize: 50 * 1024 * 1024,
+  maxTotalSize: 200 * 1024 * 1024
+};
+
+const LIMIT_ERROR_CODES = ['too_many_entries', 'entry_too_large', 'archive_too_large'];
+
+/**
+ * Error for an archive exceeding a limit
+ * @param {string} code - One of LIMIT_ERROR_CODES
+ */
+const limitError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Whether an error was thrown because an archive exceeded a limit
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isZipLimitError = (error) => LIMIT_ERROR_CODES.includes(error?.code);
+
+/**
+ * Open a ZIP archive whose entries are only inflated within size limits.
+ * Sizes are checked as declared in the archive first, then as inflated.
+ * @param {string|Buffer} source - Path of the archive, or its content
+ * @param {Object} [limits] - ZIP_PART_LIMITS by default
+ * @param {number} limits.maxEntries - Files allowed in the archive
+ * @param {number} limits.maxEntrySize - Uncompressed bytes allowed per file
+ * @param {number} limits.maxTotalSize - Uncompressed bytes allowed in total
+ * @returns {Promise<Object>} The archive:
+ *   - zip: the JSZip instance, to list or change entries
+ *   - read(name): an entry's content as a Buffer, or null if it is missing
+ *   - readText(name): the same as a UTF-8 string
+ *   - extract(entry, target): write an entry to a file
+ *   Reading throws an error with code 'entry_too_large' or
+ *   'archive_too_large' when a limit is exceeded.
+ */
+export const openZip = async (source, { maxEntries, maxEntrySize, maxTotalSize } = ZIP_PART_LIMITS) => {
+  const zip = await JSZip.loadAsync(Buffer.isBuffer(source) ? source : await fs.promises.readFile(source));
+
+  const fileCount = Object.values(zip.files).filter(entry => !entry.dir).length;
+  if (fileCount > maxEntries) {
+    throw limitError('too_many_entries', `Archive contains ${fileCount} files; at most ${maxEntries} are allowed`);
+  }
+
+  let totalSize = 0;
+
+  const checkSize = (size, entrySize) => {
+    if (entrySize > maxEntrySize) throw limitError('entry_too_large', 'File is too large');
+    if (size > maxTotalSize) throw limitError('archive_too_large', 'Archive is too large when expanded');
+  };
+
+  /**
+   * Inflate an entry into a writable stream or async consumer, failing as
+   * soon as a limit is exceeded
+   */
+  const inflate = (entry, destination) => {
+    checkSize(totalSize + (entry._data?.uncompressedSize || 0), entry._data?.uncompressedSize || 0);
+
+    let entrySize = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        entrySize += chunk.length;
+        totalSize += chunk.length;
+
+        try {
+          checkSize(totalSize, entrySize);
+          callback(null, chunk);
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+
+    return pipeline(entry.nodeStream('nodebuffer'), limit, destination);
+  };
+
+  const read = async (name) => {
+    const entry = zip.file(name.replace(/^\//, ''));
+    if (!entry) return null;
+
+    const chunks = [];
+    await inflate(entry, async (stream) => {
+      for await (const chunk of stream) chunks.push(chunk);
+    });
+
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    zip,
+    read,
+
+    async readText(name) {
+      return (await read(name))?.toString('utf8') ?? null;
+    },
+
+    async extract(entry, target) {
+      try {
+        await inflate(entry, fs.createWriteStream(target));
+      } catch (error) {
+        await fs.promises.rm(target, { force: true });
+        throw error;
+      }
+    }
+  };
+};
+
+/**
+ * Extract the files of an uploaded ZIP archive, with limits against archive
+ * bombs. Each file is streamed to the target directory as it is inflated.
+ * Directories, macOS metadata and hidden files are skipped.
+ * @param {string} filePath - Archive on disk
+ * @param {Object} limits - See openZip
+ * @param {Function} getTargetPath - Called with a file's name, returns where to write it
+ * @returns {Promise<Array<{ name: string, path?: string, size?: number, error?: string }>>}
+ *   One result per file; files over the size limit carry an error instead of a path
+ */
+export const extractZipEntries = async (filePath, limits, getTargetPath) => {
+  const archive = await openZip(filePath, limits);
+
+  const files = Object.values(archive.zip.files).filter(entry => {
+    if (entry.dir) return false;
+    const parts = entry.name.split('/');
+    return !parts.includes('__MACOSX') && !parts.some(part => part.startsWith('.'));
+  });
+
+  const results = [];
+
+  try {
+    for (const entry of files) {
+      const name = path.basename(entry.name);
+      const target = getTargetPath(name);
+
+      try {
+        await archive.extract(entry, target);
+      } catch (error) {
+        if (error.code !== 'entry_too_large') throw error;
+        results.push({ name, error: error.message });
+        continue;
+      }
+
+      results.push({ name, path: target, size: (await fs.promises.stat(target)).size });
+    }
+  } catch (error) {
+    // Nothing is kept from an archive that fails as a whole
+    await Promise.all(results.map(result => result.path && fs.promises.rm(result.path, { force: true })));
+    throw error;
+  }
+
+  return results;
+};
@@ -0,0 +1,233 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
+
+/**
+ * Token-aware text chunking for embeddings.
+ *
+ * Text is split into paragraphs (and paragraphs that are too long into
+ * sentences, then words), which are packed into chunks of at most maxTokens.
+ * Headings always start a new chunk and are remembered as the section of the
+ * chunks that follow. Consecutive chunks of a section share up to
+ * overlapTokens of trailing text.
+ */
+
+// cl100k_base is the encoding of the OpenAI embedding models
+const encoder = new Tiktoken(cl100k_base);
+
+export const DEFAULT_MAX_TOKENS = parseInt(process.env.CHUNK_MAX_TOKENS || '500', 10);
+export const DEFAULT_OVERLAP_TOKENS = parseInt(process.env.CHUNK_OVERLAP_TOKENS || '50', 10);
+
+// BPE takes quadratic time in the length of a run of the pre-tokenizer, so
+// runs of (non-)whitespace longer than this are encoded in slices. A 100k
+// character base64 blob or CJK paragraph would otherwise block the process
+// for minutes. Slicing can only add a few tokens at the slice boundaries.
+const MAX_RUN_LENGTH = 32;
+const LONG_RUN = new RegExp(`\\S{${MAX_RUN_LENGTH + 1},}|\\s{${MAX_RUN_LENGTH + 1},}`, 'g');
+
+const encodedLength = (text) => (text ? encoder.encode(text).length : 0);
+
+/**
+ * Count the tokens of a text
+ * @param {string} text
+ * @returns {number}
+ */
+export const countTokens = (text) => {
+  let tokens = 0;
+  let last = 0;
+
+  for (const match of text.matchAll(LONG_RUN)) {
+    tokens += encodedLength(text.slice(last, match.index));
+    for (let i = 0; i < match[0].length; i += MAX_RUN_LENGTH) {
+      tokens += encodedLength(match[0].slice(i, i + MAX_RUN_LENGTH));
+    }
+    last = match.index + match[0].length;
+  }
+
+  return tokens + encodedLength(text.slice(last));
+};
+
+/**
+ * Whether a paragraph looks like a heading: a markdown heading, a numbered
+ * title ("2.1 Scope"), or a single short line without closing punctuation
+ */
+const isHeading = (paragraph) => {
+  if (paragraph.includes('\n')) return false;
+  if (/^#{1,6}\s+\S/.test(paragraph)) return true;
+  if (paragraph.length > 80 || /[.!?,;:]$/.test(paragraph)) return false;
+  return /^(\d+(\.\d+)*\.?\s+)?[A-Z]/.test(paragraph) && paragraph.split(/\s+/).length <= 12;
+};
+
+/**
+ * Find the spans of a regex-separated text, keeping original offsets
+ * @returns {Array<{ start: number, end: number }>} Spans of non-empty parts
+ */
+const splitSpans = (text, start, end, separator) => {
+  const spans = [];
+  const slice = text.slice(start, end);
+  let last = 0;
+
+  for (const match of slice.matchAll(separator)) {
+    spans.push({ start: start + last, end: start + match.index });
+    last = match.index + match[0].length;
+  }
+  spans.push({ start: start + last, end });
+
+  // Trim whitespace at the edges of each span and drop empty ones
+  return spans
+    .map(span => {
+      const part = text.slice(span.start, span.end);
+      const leading = part.length - part.trimStart().length;
+      const trailing = part.length - part.trimEnd().length;
+      return { start: span.start + leading, end: span.end - trailing };
+    })
+    .filter(span => span.end > span.start);
+};
+
+/**
+ * Split a span into words, and words longer than MAX_RUN_LENGTH into slices
+ */
+const wordSpans = (text, start, end) => splitSpans(text, start, end, /\s+/g)
+  .flatMap(word => {
+    if (word.end - word.start <= MAX_RUN_LENGTH) return [word];
+
+    const slices = [];
+    for (let i = word.start; i < word.end; i += MAX_RUN_LENGTH) {
+      slices.push({ start: i, end: Math.min(i + MAX_RUN_LENGTH, word.end) });
+    }
+    return slices;
+  });
+
+/**
+ * Split a span into units of at most maxTokens: sentences, or word runs for
+ * sentences that are too long on their own
+ */
+const splitLongSpan = (text, span, maxTokens) => {
+  const units = [];
+
+  for (const sentence of splitSpans(text, span.start, span.end, /(?<=[.!?])\s+/g)) {
+    const tokens = countTokens(text.slice(sentence.start, sentence.end));
+    if (tokens <= maxTokens) {
+      units.push({ ...sentence, tokens });
+      continue;
+    }
+
+    // Tokens don't span whitespace, so a run's tokens are the sum of its
+    // words' (and slices are only ever overcounted)
+    let current = null;
+    for (const word of wordSpans(text, sentence.start, sentence.end)) {
+      const wordTokens = countTokens(text.slice(current ? current.end : word.start, word.end));
+
+      if (current && current.tokens + wordTokens > maxTokens) {
+        units.push(current);
+        current = { ...word, tokens: countTokens(text.slice(word.start, word.end)) };
+      } else {
+        current = current
+          ? { start: current.start, end: word.end, tokens: current.tokens + wordTokens }
+          : { ...word, tokens: wordTokens };
+      }
+    }
+    if (current) units.push(current);
+  }
+
+  return units;
+};
+
+/**
+ * Find the page a character offset falls on
+ * @param {number[]} pageOffsets - Start offset of each page, ascending
+ * @param {number} offset
+ * @returns {number|null} 1-based page number
+ */
+const pageAt = (pageOffsets, offset) => {
+  if (!pageOffsets?.length) return null;
+
+  let page = 0;
+  while (page + 1 < pageOffsets.length && pageOffsets[page + 1] <= offset) page++;
+  return page + 1;
+};
+
+/**
+ * Split text into chunks for embedding
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Upper bound of tokens per chunk
+ * @param {number} [options.overlapTokens] - Tokens repeated from the previous chunk
+ * @param {number[]} [options.pageOffsets] - Start offset of each page in text
+ * @returns {Array<{ content: string, startOffset: number, endOffset: number,
+ *   tokenCount: number, pageNumber: number|null, sectionHeading: string|null }>}
+ */
+export const chunkText = (text, {
+  maxTokens = DEFAULT_MAX_TOKENS,
+  overlapTokens = DEFAULT_OVERLAP_TOKENS,
+  pageOffsets = null
+} = {}) => {
+  const chunks = [];
+  let units = [];
+  let unitTokens = 0;
+  let section = null;
+
+  const flush = ({ keepOverlap }) => {
+    if (units.length === 0) return;
+
+    const start = units[0].start;
+    const end = units[units.length - 1].end;
+    const content = text.slice(start, end);
+
+    chunks.push({
+      content,
+      startOffset: start,
+      endOffset: end,
+      tokenCount: countTokens(content),
+      pageNumber: pageAt(pageOffsets, start),
+      sectionHeading: section
+    });
+
+    // Carry trailing units into the next chunk, never the whole chunk
+    const carried = [];
+    let carriedTokens = 0;
+    if (keepOverlap) {
+      for (let i = units.length - 1; i > 0; i--) {
+        if (carriedTokens + units[i].tokens > overlapTokens) break;
+        carried.unshift(units[i]);
+        carriedTokens += units[i].tokens;
+      }
+    }
+
+    units = carried;
+    unitTokens = carriedTokens;
+  };
+
+  for (const paragraph of splitSpans(text, 0, text.length, /\n\s*\n/g)) {
+    const paragraphText = text.slice(paragraph.start, paragraph.end);
+    const tokens = countTokens(paragraphText);
+
+    if (isHeading(paragraphText)) {
+      flush({ keepOverlap: false });
+      section = paragraphText.replace(/^#{1,6}\s+/, '');
+    }
+
+    const paragraphUnits = tokens <= maxTokens
+      ? [{ ...paragraph, tokens }]
+      : splitLongSpan(text, paragraph, maxTokens);
+
+    // Allow a token for the separator in front of every unit
+    const fits = (unit) => unitTokens + unit.tokens + units.length <= maxTokens;
+
+    for (const unit of paragraphUnits) {
+      if (units.length > 0 && !fits(unit)) {
+        flush({ keepOverlap: true });
+
+        // Overlap must still leave room for the new unit
+        while (units.length > 0 && !fits(unit)) {
+          unitTokens -= units.shift().tokens;
+        }
+      }
+
+      units.push(unit);
+      unitTokens += unit.tokens;
+    }
+  }
+
+  flush({ keepOverlap: false });
+  return chunks;
+};
@@ -0,0 +1,523 @@
+import fs from 'fs';
+import path from 'path';
+import { DOMParser } from '@xmldom/xmldom';
+import { Document } from '@langchain/core/documents';
+import WordExtractor from 'word-extractor';
+import { openZip } from './archive.js';
+
+/**
+ * Loaders for formats LangChain does not cover without extra services.
+ * They follow the LangChain loader interface (load() resolves to Documents)
+ * and shape the text so structure survives chunking:
+ * - spreadsheets and CSV: a "# Sheet: name" heading per sheet and one
+ *   "[Row n] Column: value | ..." paragraph per row
+ * - slide decks: one Document per slide with loc.pageNumber set to the slide
+ *   number, so slides are stored as pages
+ * - EPUB: one "# Chapter title" section per chapter in reading order
+ * - HTML and RTF: plain text with headings and paragraphs kept
+ * - Word 97-2003 (.doc): body text followed by headers, footers, footnotes
+ *   and endnotes, each under a "[Label]" marker
+ */
+
+// Namespace of relationship IDs (r:id) in Office Open XML
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Relationship ID of an element, however its namespace prefix is written
+ */
+const relationshipId = (element) => element.getAttributeNS(RELATIONSHIPS_NS, 'id') || element.getAttribute('r:id');
+
+/**
+ * Parse an XML string, ignoring recoverable errors
+ */
+const parseXml = (xml) => new DOMParser({
+  errorHandler: { warning: () => {}, error: () => {} }
+}).parseFromString(xml, 'text/xml');
+
+/**
+ * Elements with a local name below a node, whatever their namespace prefix
+ */
+const elements = (node, localName) => {
+  const list = node.getElementsByTagNameNS('*', localName);
+  return Array.from({ length: list.length }, (_, index) => list.item(index));
+};
+
+/**
+ * Resolve a relationship or manifest target against the file referencing it
+ */
+const resolvePath = (fromFile, target) => target.startsWith('/')
+  ? target.slice(1)
+  : path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), decodeURIComponent(target)));
+
+/**
+ * Map relationship IDs to target paths from a .rels file
+ */
+const readRelationships = async (archive, relsPath, sourcePath) => {
+  const xml = await archive.readText(relsPath);
+  if (!xml) return {};
+
+  return Object.fromEntries(elements(parseXml(xml), 'Relationship').map(rel => [
+    rel.getAttribute('Id'),
+    resolvePath(sourcePath, rel.getAttribute('Target'))
+  ]));
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * Decode HTML character references
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Convert HTML to plain text, turning headings into markdown headings and
+ * block elements into paragraphs
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToText = (html) => {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) =>
+      `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(td|th)>/gi, ' | ')
+    .replace(/<\/?(p|div|section|article|header|footer|aside|nav|main|ul|ol|table|tr|blockquote|pre|figure|figcaption|dl|dt|dd|hr)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Format a table row as a paragraph, labelling values with their column
+ * header. The bracketed prefix keeps short rows from looking like headings.
+ */
+const formatRow = (rowNumber, cells, headers) => {
+  const values = cells
+    .map((value, index) => [headers[index] || `Column ${index + 1}`, String(value ?? '').trim()])
+    .filter(([, value]) => value !== '')
+    .map(([header, value]) => `${header}: ${value}`);
+
+  return values.length > 0 ? `[Row ${rowNumber}] ${values.join(' | ')}` : null;
+};
+
+/**
+ * Format rows of a table; the first non-empty row is used as the header
+ * @param {Array<{ number: number, cells: string[] }>} rows
+ * @returns {string}
+ */
+const formatTable = (rows) => {
+  const headerIndex = rows.findIndex(row => row.cells.some(cell => String(cell ?? '').trim() !== ''));
+  if (headerIndex === -1) return '';
+
+  const headers = rows[headerIndex].cells.map(cell => String(cell ?? '').trim());
+
+  return rows
+    .slice(headerIndex + 1)
+    .map(row => formatRow(row.number, row.cells, headers))
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Excel writes semicolon-separated files in some locales
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Convert a column reference such as "C" or "AB" to a 0-based index
+ */
+const columnIndex = (reference) => reference
+  .replace(/\d+$/, '')
+  .split('')
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Text content of all <t> elements below a node
+ */
+const textOf = (node) => elements(node, 't').map(t => t.textContent).join('');
+
+/**
+ * Convert RTF to plain text. Skips font, colour, style and picture tables
+ * and other ignorable destinations.
+ * @param {string} rtf
+ * @returns {string}
+ */
+export const rtfToText = (rtf) => {
+  const SKIPPED_DESTINATIONS = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'datastore', 'latentstyles'];
+
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 0;
+  let output = '';
+
+  for (let i = 0; i < rtf.length; i++) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(skip);
+      continue;
+    }
+
+    if (char === '}') {
+      skip = stack.pop() ?? false;
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = rtf[i + 1];
+
+      // Escaped characters
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skip) output += next;
+        i++;
+        continue;
+      }
+
+      // Hex-encoded character (Windows-1252, close enough to Latin-1)
+      if (next === "'") {
+        if (unicodeSkip > 0) {
+          unicodeSkip--;
+        } else if (!skip) {
+          output += String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16));
+        }
+        i += 3;
+        continue;
+      }
+
+      // Ignorable destination: {\*\name ...}
+      if (next === '*') {
+        skip = true;
+        i++;
+        continue;
+      }
+
+      const match = /^([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i + 1, i + 40));
+      if (!match) {
+        i++;
+        continue;
+      }
+
+      const [token, word, param] = match;
+      i += token.length;
+
+      if (SKIPPED_DESTINATIONS.includes(word)) {
+        skip = true;
+      } else if (!skip) {
+        if (word === 'par' || word === 'line' || word === 'sect' || word === 'page') output += '\n';
+        else if (word === 'tab') output += '\t';
+        else if (word === 'u' && param) {
+          const code = Number(param);
+          output += String.fromCharCode(code < 0 ? code + 65536 : code);
+          unicodeSkip = 1;
+        }
+      }
+      continue;
+    }
+
+    if (char === '\r' || char === '\n') continue;
+
+    if (unicodeSkip > 0) {
+      unicodeSkip--;
+      continue;
+    }
+
+    if (!skip) output += char;
+  }
+
+  return output
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Base class: keeps the file path and source metadata like LangChain loaders
+ */
+class FileLoader {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  document(pageContent, metadata = {}) {
+    return new Document({ pageContent, metadata: { source: this.filePath, ...metadata } });
+  }
+}
+
+/**
+ * HTML pages
+ */
+export class HtmlLoader extends FileLoader {
+  async load() {
+    const html = await fs.promises.readFile(this.filePath, 'utf8');
+    return [this.document(htmlToText(html))];
+  }
+}
+
+/**
+ * RTF documents
+ */
+export class RtfLoader extends FileLoader {
+  async load() {
+    const rtf = await fs.promises.readFile(this.filePath, 'latin1');
+    return [this.document(rtfToText(rtf))];
+  }
+}
+
+/**
+ * Legacy Word documents (.doc). word-extractor reads the binary format, and
+ * also handles .docx files that were saved with a .doc name.
+ */
+export class DocLoader extends FileLoader {
+  async load() {
+    const extracted = await new WordExtractor().extract(this.filePath);
+
+    const parts = [
+      ['Headers', extracted.getHeaders({ includeFooters: false })],
+      ['Footers', extracted.getFooters()],
+      ['Footnotes', extracted.getFootnotes()],
+      ['Endnotes', extracted.getEndnotes()]
+    ]
+      .map(([label, text]) => [label, text.trim()])
+      .filter(([, text]) => text)
+      .map(([label, text]) => `[${label}]\n${text}`);
+
+    const text = [extracted.getBody().trim(), ...parts].join('\n\n');
+    return [this.document(text)];
+  }
+}
+
+/**
+ * CSV files, one paragraph per row
+ */
+export class CsvLoader extends FileLoader {
+  async load() {
+    const text = (await fs.promises.readFile(this.filePath, 'utf8')).replace(/^\uFEFF/, '');
+    const rows = parseCsv(text).map((cells, index) => ({ number: index + 1, cells }));
+    return [this.document(formatTable(rows))];
+  }
+}
+
+/**
+ * Excel workbooks (.xlsx), one Document per sheet
+ */
+export class XlsxLoader extends FileLoader {
+  async load() {
+    const archive = await openZip(this.filePath);
+
+    const workbookPath = 'xl/workbook.xml';
+    const workbookXml = await archive.readText(workbookPath);
+    if (!workbookXml) throw new Error('Not a valid XLSX file');
+
+    const relationships = await readRelationships(archive, 'xl/_rels/workbook.xml.rels', workbookPath);
+
+    const sharedStringsXml = await archive.readText('xl/sharedStrings.xml');
+    const sharedStrings = sharedStringsXml
+      ? elements(parseXml(sharedStringsXml), 'si').map(textOf)
+      : [];
+
+    const documents = [];
+    const sheets = elements(parseXml(workbookXml), 'sheet');
+
+    for (const [index, sheet] of sheets.entries()) {
+      const name = sheet.getAttribute('name');
+      const sheetXml = await archive.readText(relationships[relationshipId(sheet)] || '');
+      if (!sheetXml) continue;
+
+      const rows = elements(parseXml(sheetXml), 'row').map(row => {
+        const cells = [];
+
+        for (const cell of elements(row, 'c')) {
+          const type = cell.getAttribute('t');
+          const value = elements(cell, 'v')[0]?.textContent ?? '';
+
+          let text;
+          if (type === 's') text = sharedStrings[Number(value)] ?? '';
+          else if (type === 'inlineStr') text = textOf(cell);
+          else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+          else text = value;
+
+          const reference = cell.getAttribute('r');
+          cells[reference ? columnIndex(reference) : cells.length] = text;
+        }
+
+        return { number: Number(row.getAttribute('r')) || 0, cells: Array.from(cells, cell => cell ?? '') };
+      });
+
+      const table = formatTable(rows);
+      if (table) {
+        documents.push(this.document(`# Sheet: ${name}\n\n${table}`, { sheet: name, sheetIndex: index + 1 }));
+      }
+    }
+
+    return documents;
+  }
+}
+
+/**
+ * PowerPoint decks (.pptx), one Document per slide including speaker notes
+ */
+export class PptxLoader extends FileLoader {
+  async load() {
+    const archive = await openZip(this.filePath);
+
+    const presentationPath = 'ppt/presentation.xml';
+    const presentationXml = await archive.readText(presentationPath);
+    if (!presentationXml) throw new Error('Not a valid PPTX file');
+
+    const relationships = await readRelationships(archive, 'ppt/_rels/presentation.xml.rels', presentationPath);
+    const slideIds = elements(parseXml(presentationXml), 'sldId');
+
+    const documents = [];
+
+    for (const [index, slideId] of slideIds.entries()) {
+      const slidePath = relationships[relationshipId(slideId)];
+      const slideXml = slidePath && await archive.readText(slidePath);
+      if (!slideXml) continue;
+
+      const slideNumber = index + 1;
+      let title = null;
+      const paragraphs = [];
+
+      for (const shape of elements(parseXml(slideXml), 'sp')) {
+        const placeholder = elements(shape, 'ph')[0]?.getAttribute('type');
+        const lines = elements(shape, 'p').map(textOf).map(line => line.trim()).filter(Boolean);
+
+        if (!title && (placeholder === 'title' || placeholder === 'ctrTitle')) {
+          title = lines.join(' ');
+        } else if (lines.length > 0) {
+          paragraphs.push(lines.join('\n'));
+        }
+      }
+
+      // Speaker notes are linked from the slide's relationships
+      const slideRelationships = await readRelationships(
+        archive,
+        path.posix.join(path.posix.dirname(slidePath), '_rels', `${path.posix.basename(slidePath)}.rels`),
+        slidePath
+      );
+      const notesPath = Object.values(slideRelationships).find(target => target.includes('notesSlide'));
+      const notesXml = notesPath && await archive.readText(notesPath);
+
+      if (notesXml) {
+        const notes = elements(parseXml(notesXml), 'sp')
+          .filter(shape => elements(shape, 'ph')[0]?.getAttribute('type') === 'body')
+          .flatMap(shape => elements(shape, 'p').map(textOf))
+          .map(line => line.trim())
+          .filter(Boolean);
+
+        if (notes.length > 0) paragraphs.push(`[Speaker notes] ${notes.join(' ')}`);
+      }
+
+      const heading = `## Slide ${slideNumber}${title ? `: ${title}` : ''}`;
+      documents.push(this.document([heading, ...paragraphs].join('\n\n'), {
+        slide: slideNumber,
+        loc: { pageNumber: slideNumber }
+      }));
+    }
+
+    return documents;
+  }
+}
+
+/**
+ * EPUB e-books, one Document per chapter in reading order
+ */
+export class EpubLoader extends FileLoader {
+  async load() {
+    const archive = await openZip(this.filePath);
+
+    const containerXml = await archive.readText('META-INF/container.xml');
+    const opfPath = containerXml && elements(parseXml(containerXml), 'rootfile')[0]?.getAttribute('full-path');
+    const opfXml = opfPath && await archive.readText(opfPath);
+    if (!opfXml) throw new Error('Not a valid EPUB file');
+
+    const opf = parseXml(opfXml);
+    const manifest = Object.fromEntries(elements(opf, 'item').map(item => [
+      item.getAttribute('id'),
+      resolvePath(opfPath, item.getAttribute('href'))
+    ]));
+
+    const documents = [];
+
+    for (const itemRef of elements(opf, 'itemref')) {
+      const chapterPath = manifest[itemRef.getAttribute('idref')];
+      const html = chapterPath && await archive.readText(chapterPath);
+      if (!html) continue;
+
+      const text = htmlToText(html);
+      if (!text) continue;
+
+      // Use the chapter's own first heading, or its <title>, as the chapter title
+      const chapterNumber = documents.length + 1;
+      const hasHeading = /^#{1,6} /.test(text);
+      const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1]?.trim();
+      const content = hasHeading ? text : `# ${decodeEntities(title || `Chapter ${chapterNumber}`)}\n\n${text}`;
+
+      documents.push(this.document(content, { chapter: chapterNumber }));
+    }
+
+    return documents;
+  }
+}
@@ -0,0 +1,131 @@
+import { OpenAI } from 'openai';
+import { withRetry } from './retry.js';
+
+/**
+ * Provider and model new documents are embedded with. Documents record the
+ * provider, model and dimension they were embedded with, and queries on a
+ * document always use the same ones; changing these only affects documents
+ * processed (or re-indexed) afterwards.
+ */
+export const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || 'openai';
+
+const DEFAULT_MODELS = {
+  openai: 'text-embedding-ada-002',
+  local: 'Xenova/all-MiniLM-L6-v2'
+};
+
+export const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || DEFAULT_MODELS[EMBEDDING_PROVIDER];
+
+// BGE retrieval models expect queries (not passages) to carry this instruction
+const BGE_QUERY_INSTRUCTION = 'Represent this sentence for searching relevant passages: ';
+
+/**
+ * Embedding providers. Each creates an embedder for a model with:
+ * - embedDocuments(texts): one vector per text, in order
+ * - embedQuery(text): the vector of a search query
+ * - batchSize, concurrency: how many texts to send per call, and calls in
+ *   flight, unless overridden with EMBEDDING_BATCH_SIZE / EMBEDDING_CONCURRENCY
+ * - matchThreshold: cosine similarity a chunk needs to be relevant to a
+ *   query. Models spread their scores differently, so it is set per provider.
+ */
+const PROVIDERS = {
+  openai(model) {
+    const openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+
+    // Retries are handled here, so turn off the SDK's own
+    const embed = async (input, retryOptions) => {
+      const response = await withRetry(() => openai.embeddings.create({
+        model,
+        input,
+      }, { maxRetries: 0 }), retryOptions);
+
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    };
+
+    return {
+      provider: 'openai',
+      model,
+      batchSize: 96,
+      concurrency: 4,
+      // ada-002 scores even unrelated text around 0.7
+      matchThreshold: 0.7,
+      embedDocuments: (texts) => embed(texts),
+      embedQuery: async (text) => (await embed(text, { retries: 2 }))[0]
+    };
+  },
+
+  /**
+   * Runs a sentence-transformers model on the CPU with @xenova/transformers.
+   * The model is downloaded on first use and cached on disk.
+   */
+  local(model) {
+    let extractor = null;
+
+    // Loaded lazily so deployments using OpenAI never load the ONNX runtime
+    const getExtractor = () => {
+      extractor ??= import('@xenova/transformers')
+        .then(({ pipeline, env }) => {
+          if (process.env.LOCAL_EMBEDDING_CACHE_DIR) env.cacheDir = process.env.LOCAL_EMBEDDING_CACHE_DIR;
+          return pipeline('feature-extraction', model);
+        })
+        .catch(error => {
+          extractor = null;
+          throw error;
+        });
+
+      return extractor;
+    };
+
+    const embed = async (texts) => {
+      const output = await (await getExtractor())(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    };
+
+    const queryPrefix = /bge-/i.test(model) ? BGE_QUERY_INSTRUCTION : '';
+
+    return {
+      provider: 'local',
+      model,
+      // Inference is CPU-bound, so parallel calls only compete for cores
+      batchSize: 16,
+      concurrency: 1,
+      // Sentence-transformers models score related passages from about 0.3
+      matchThreshold: 0.3,
+      embedDocuments: embed,
+      embedQuery: async (text) => (await embed([queryPrefix + text]))[0]
+    };
+  }
+};
+
+const embedders = new Map();
+
+/**
+ * Get the embedder for a provider and model, the configured ones by default
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Key of PROVIDERS
+ * @param {string} [options.model] - Model name for that provider
+ */
+export const getEmbedder = ({ provider = EMBEDDING_PROVIDER, model } = {}) => {
+  const create = PROVIDERS[provider];
+  if (!create) throw new Error(`Unknown embedding provider: ${provider}`);
+
+  const modelName = model || (provider === EMBEDDING_PROVIDER ? EMBEDDING_MODEL : DEFAULT_MODELS[provider]);
+  const key = `${provider}:${modelName}`;
+
+  if (!embedders.has(key)) embedders.set(key, create(modelName));
+  return embedders.get(key);
+};
+
+/**
+ * Get the embedder a document was embedded with. Documents from before
+ * providers were recorded used OpenAI's ada-002.
+ * @param {Object} document - Row with embedding_provider and embedding_model
+ */
+export const getDocumentEmbedder = (document) => getEmbedder({
+  provider: document.embedding_provider || 'openai',
+  model: document.embedding_model || DEFAULT_MODELS.openai
+});
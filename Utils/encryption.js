@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+
+/**
+ * Derive the 256-bit key from APP_ENCRYPTION_KEY
+ * @returns {Buffer}
+ */
+const getKey = () => {
+  const secret = process.env.APP_ENCRYPTION_KEY;
+  if (!secret) throw new Error('APP_ENCRYPTION_KEY is not configured');
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a string with AES-256-GCM
+ * @param {string} plaintext
+ * @returns {string} iv.tag.ciphertext, base64url encoded
+ */
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload
+ * @returns {string}
+ */
+export const decrypt = (payload) => {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * SHA-256 hash of a value, hex encoded
+ * @param {string} value
+ * @returns {string}
+ */
+export const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
@@ -0,0 +1,362 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { scanFile } from './fileScanner.js';
+import { openZip, isZipLimitError } from './archive.js';
+
+/**
+ * Directory suspicious uploads are moved to, next to a JSON file with why
+ */
+export const QUARANTINE_DIR = process.env.QUARANTINE_DIR || path.join(process.cwd(), 'quarantine');
+
+/**
+ * Container formats recognized by their first bytes. File types list which
+ * of these their content may be (FILE_TYPES[].signatures); 'text' is any
+ * file without NUL bytes that matches none of them.
+ */
+const SIGNATURES = {
+  pdf: Buffer.from('%PDF-'),
+  zip: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  ole: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  jpg: Buffer.from([0xff, 0xd8, 0xff]),
+  rtf: Buffer.from('{\\rtf')
+};
+
+// Binary formats whose first bytes never hold markup. ZIP containers are
+// left out since they may store XHTML and XML uncompressed.
+const MARKUP_FREE_CONTAINERS = ['pdf', 'ole', 'png', 'jpg'];
+
+// ZIP readers look for the end of central directory record in the last
+// 22 bytes plus up to 64KB of archive comment
+const ZIP_END = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const ZIP_TAIL_SIZE = 22 + 0xffff;
+
+// PDF readers accept a header anywhere in the first 1KB
+const PDF_HEADER_WINDOW = 1024;
+
+// PDF names of actions that run scripts or programs, submit data, or of
+// embedded files. Triggers (/OpenAction, /AA) are left alone: they often
+// only set the initial view, and the actions they run are caught by type.
+const PDF_ACTIVE_NAMES = [
+  'JavaScript', 'JS', 'Launch', 'EmbeddedFile', 'RichMedia', 'SubmitForm', 'ImportData'
+];
+const pdfNamePattern = (names, flags) => new RegExp(`/(${names.join('|')})(?=[\\s/\\[\\]<>(){}%]|$)`, flags);
+const PDF_ACTIVE_PATTERN = pdfNamePattern(PDF_ACTIVE_NAMES, 'g');
+
+// Actions that run code, which quarantine a PDF when hidden in compressed
+// streams where they cannot be renamed in place
+const PDF_CODE_PATTERN = pdfNamePattern(['JavaScript', 'JS', 'Launch']);
+
+const PDF_ENCODED_NAME_PATTERN = /\/((?:[A-Za-z0-9]*#[0-9A-Fa-f]{2})+[A-Za-z0-9]*)/g;
+const PDF_MAX_INFLATED_SIZE = 50 * 1024 * 1024;
+
+// Office Open XML parts holding macros or ActiveX controls
+const OFFICE_ACTIVE_ENTRY = /(^|\/)(vbaProject\.bin|vbaData\.xml)$|(^|\/)activeX\//i;
+
+// Storages of VBA macros in Word 97-2003 files (names are UTF-16LE)
+const OLE_MACRO_STORAGES = ['_VBA_PROJECT', 'Macros'].map(name => Buffer.from(name, 'utf16le'));
+
+// RTF groups embedding OLE objects
+const RTF_OBJECT_GROUP = /\{\\(?:\*\\)?(?:object|objdata)(?![a-z])/g;
+
+/**
+ * Which container format a file's bytes are, or null if unknown
+ * @param {Buffer} buffer
+ * @returns {string|null} Key of SIGNATURES, 'text' or null
+ */
+export const detectContainer = (buffer) => {
+  const match = Object.entries(SIGNATURES)
+    .find(([, signature]) => buffer.subarray(0, signature.length).equals(signature));
+
+  if (match) return match[0];
+  return buffer.includes(0) ? null : 'text';
+};
+
+/**
+ * Whether a file is also readable as another format (a polyglot), which
+ * is how malicious payloads are smuggled past type checks
+ * @returns {string|null} The other format, or null
+ */
+const findPolyglot = (buffer, container) => {
+  const head = buffer.subarray(0, PDF_HEADER_WINDOW).toString('latin1');
+
+  if (container !== 'pdf' && head.includes('%PDF-')) return 'PDF';
+  if (container !== 'zip' && buffer.subarray(-ZIP_TAIL_SIZE).includes(ZIP_END)) return 'ZIP';
+  if (MARKUP_FREE_CONTAINERS.includes(container) && /<(html|script|svg|!doctype html)\b/i.test(head)) return 'HTML';
+
+  return null;
+};
+
+/**
+ * Decode the character references a browser would decode in an attribute
+ */
+const decodeAttribute = (value) => value
+  .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);?/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&(colon|tab|newline);/gi, (match, name) => ({ colon: ':', tab: '\t', newline: '\n' })[name.toLowerCase()]);
+
+/**
+ * Remove scripts, embedded frames and objects, event handlers and
+ * script URLs from HTML
+ * @param {string} html
+ * @returns {string}
+ */
+export const stripActiveHtml = (html) => html
+  .replace(/<(script|iframe|frame|object|embed|applet)\b[\s\S]*?<\/\1\s*>/gi, '')
+  .replace(/<\/?(script|iframe|frame|frameset|object|embed|applet|base)\b[^>]*>/gi, '')
+  .replace(/<meta\b[^>]*http-equiv[^>]*>/gi, '')
+  .replace(/[\s/]+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, ' ')
+  .replace(/\s(href|src|action|formaction|xlink:href|background|poster)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi,
+    (match, attribute, value) => {
+      const url = decodeAttribute(value.replace(/^["']|["']$/g, '')).replace(/[\s\0-\x1f]/g, '');
+      return /^(javascript|vbscript|data):/i.test(url) ? ` ${attribute}="#"` : match;
+    });
+
+/**
+ * Remove RTF groups matching a pattern, up to their closing brace
+ */
+const stripRtfGroups = (rtf, pattern) => {
+  let result = '';
+  let index = 0;
+  let match;
+
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(rtf))) {
+    result += rtf.slice(index, match.index);
+
+    let depth = 0;
+    let i = match.index;
+    for (; i < rtf.length; i++) {
+      if (rtf[i] === '\\') i++;
+      else if (rtf[i] === '{') depth++;
+      else if (rtf[i] === '}' && --depth === 0) break;
+    }
+
+    index = i + 1;
+    pattern.lastIndex = index;
+  }
+
+  return result + rtf.slice(index);
+};
+
+/**
+ * Inflated contents of the Flate-compressed streams of a PDF, where object
+ * streams can hide dictionaries from a plain byte search
+ */
+const inflatePdfStreams = (pdf) => {
+  const streams = [];
+  const start = /stream\r?\n/g;
+  let match;
+
+  while ((match = start.exec(pdf))) {
+    const end = pdf.indexOf('endstream', start.lastIndex);
+    if (end === -1) break;
+
+    try {
+      const data = Buffer.from(pdf.slice(start.lastIndex, end), 'latin1');
+      streams.push(zlib.inflateSync(data, { maxOutputLength: PDF_MAX_INFLATED_SIZE }).toString('latin1'));
+    } catch {
+      // Not compressed, or not with Flate
+    }
+    start.lastIndex = end;
+  }
+
+  return streams;
+};
+
+/**
+ * Names written with #xx escapes that decode to an active PDF name
+ */
+const findEncodedPdfNames = (text) => [...text.matchAll(PDF_ENCODED_NAME_PATTERN)]
+  .map(([, name]) => name.replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))))
+  .filter(name => PDF_ACTIVE_NAMES.includes(name));
+
+/**
+ * Ways of removing active content, per container format. Each returns the
+ * cleaned file (if anything changed) and what was removed, or a reason to
+ * quarantine the file when the content cannot be removed safely.
+ */
+const SANITIZERS = {
+  /**
+   * Rename active PDF names to lowercase. Names are case-sensitive, so
+   * readers ignore them, and the file keeps its length and xref offsets.
+   */
+  async pdf(buffer) {
+    const pdf = buffer.toString('latin1');
+
+    if (findEncodedPdfNames(pdf).length > 0) {
+      return { quarantine: 'PDF contains obfuscated active content' };
+    }
+
+    const hidden = inflatePdfStreams(pdf)
+      .some(stream => findEncodedPdfNames(stream).length > 0 || PDF_CODE_PATTERN.test(stream));
+    if (hidden) {
+      return { quarantine: 'PDF contains scripts or launch actions in compressed streams' };
+    }
+
+    const removed = new Set();
+    const cleaned = pdf.replace(PDF_ACTIVE_PATTERN, (match, name) => {
+      removed.add(name);
+      return `/${name.toLowerCase()}`;
+    });
+
+    return removed.size > 0 ? { buffer: Buffer.from(cleaned, 'latin1'), removed: [...removed] } : {};
+  },
+
+  /**
+   * Remove macros and ActiveX controls from Office files, and scripts from
+   * the pages of EPUB books
+   */
+  async zip(buffer, { archive }) {
+    const { zip } = archive;
+    const removed = new Set();
+
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir) continue;
+
+      if (OFFICE_ACTIVE_ENTRY.test(entry.name)) {
+        zip.remove(entry.name);
+        removed.add('macros');
+      } else if (/\.(x?html?)$/i.test(entry.name)) {
+        const html = await archive.readText(entry.name);
+        const cleaned = stripActiveHtml(html);
+        if (cleaned !== html) {
+          zip.file(entry.name, cleaned);
+          removed.add('scripts');
+        }
+      }
+    }
+
+    if (removed.size === 0) return {};
+
+    // EPUB readers expect the mimetype entry to stay uncompressed
+    if (zip.file('mimetype')) {
+      zip.file('mimetype', await archive.read('mimetype'), { compression: 'STORE' });
+    }
+
+    return {
+      buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+      removed: [...removed]
+    };
+  },
+
+  /**
+   * Macros cannot be removed from Word 97-2003 files without rewriting them
+   */
+  async ole(buffer) {
+    return OLE_MACRO_STORAGES.some(name => buffer.includes(name))
+      ? { quarantine: 'Document contains macros' }
+      : {};
+  },
+
+  async rtf(buffer) {
+    const rtf = buffer.toString('latin1');
+    const cleaned = stripRtfGroups(rtf, RTF_OBJECT_GROUP);
+
+    return cleaned !== rtf ? { buffer: Buffer.from(cleaned, 'latin1'), removed: ['embedded objects'] } : {};
+  },
+
+  async text(buffer, { fileType }) {
+    if (fileType.label !== 'HTML') return {};
+
+    // latin1 round-trips every byte, whatever the page's encoding
+    const html = buffer.toString('latin1');
+    const cleaned = stripActiveHtml(html);
+
+    return cleaned !== html ? { buffer: Buffer.from(cleaned, 'latin1'), removed: ['scripts'] } : {};
+  }
+};
+
+/**
+ * Check the content of an uploaded file against its claimed type, scan it
+ * and remove active content in place.
+ * - rejected: the content is not the claimed type
+ * - quarantined: the file is a polyglot, the scanner flagged it or could not
+ *   run, or it has active content that cannot be removed
+ * - clean: the file can be used; removed lists what was stripped
+ * @param {string} filePath
+ * @param {Object} fileType - Entry of FILE_TYPES
+ * @returns {Promise<{ verdict: string, reason?: string, removed?: string[] }>}
+ */
+export const inspectUpload = async (filePath, fileType) => {
+  const buffer = await fs.promises.readFile(filePath);
+  const container = detectContainer(buffer);
+  const mismatch = { verdict: 'rejected', reason: `File content is not a valid ${fileType.label} file` };
+
+  if (!fileType.signatures.includes(container)) return mismatch;
+
+  // Entries are only inflated within the limits of openZip, against zip bombs
+  let archive = null;
+  if (container === 'zip') {
+    try {
+      archive = await openZip(buffer);
+    } catch (error) {
+      if (isZipLimitError(error)) return { verdict: 'quarantined', reason: error.message };
+      return mismatch;
+    }
+    if (fileType.zipEntries.some(entry => !archive.zip.file(entry))) return mismatch;
+  }
+
+  const polyglot = findPolyglot(buffer, container);
+  if (polyglot) {
+    return { verdict: 'quarantined', reason: `File is also readable as ${polyglot}` };
+  }
+
+  // Scan the file as uploaded, before anything is removed from it
+  let scan;
+  try {
+    scan = await scanFile(filePath);
+  } catch (error) {
+    console.error(`Error scanning ${filePath}:`, error);
+    return { verdict: 'quarantined', reason: 'File could not be scanned' };
+  }
+  if (!scan.clean) {
+    return { verdict: 'quarantined', reason: `Malware detected: ${scan.threat}` };
+  }
+
+  let outcome;
+  try {
+    outcome = await SANITIZERS[container]?.(buffer, { fileType, archive }) || {};
+  } catch (error) {
+    if (!isZipLimitError(error)) throw error;
+    outcome = { quarantine: `Archive exceeds size limits: ${error.message}` };
+  }
+
+  if (outcome.quarantine) {
+    return { verdict: 'quarantined', reason: outcome.quarantine };
+  }
+
+  if (outcome.buffer) {
+    await fs.promises.writeFile(filePath, outcome.buffer);
+  }
+
+  return { verdict: 'clean', removed: outcome.removed || [] };
+};
+
+/**
+ * Move a file to the quarantine directory, with a JSON file describing it
+ * @param {string} filePath
+ * @param {Object} details - Reason, uploader and original name
+ * @returns {Promise<string>} Path of the quarantined file
+ */
+export const quarantineFile = async (filePath, details) => {
+  await fs.promises.mkdir(QUARANTINE_DIR, { recursive: true });
+
+  const target = path.join(QUARANTINE_DIR, path.basename(filePath));
+  try {
+    await fs.promises.rename(filePath, target);
+  } catch (error) {
+    // The quarantine directory may be on another volume
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(filePath, target);
+    await fs.promises.rm(filePath, { force: true });
+  }
+
+  await fs.promises.writeFile(`${target}.json`, JSON.stringify({
+    ...details,
+    quarantinedAt: new Date().toISOString()
+  }, null, 2));
+
+  return target;
+};
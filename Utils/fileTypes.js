@@ -0,0 +1,123 @@
+import path from 'path';
+
+/**
+ * Document types that can be uploaded. Every entry lists the file extensions
+ * and MIME types it is recognized by, the plan feature that unlocks it, and
+ * what the content must look like: the container formats its bytes may start
+ * with (see Utils/fileInspection.js) and, for ZIP containers, the entries
+ * that must be present.
+ */
+export const FILE_TYPES = [
+  { label: 'PDF', feature: 'pdf', extensions: ['.pdf'], mimeTypes: ['application/pdf'], signatures: ['pdf'] },
+  { label: 'TXT', feature: 'txt', extensions: ['.txt'], mimeTypes: ['text/plain'], signatures: ['text'] },
+  {
+    label: 'DOC',
+    feature: 'docx',
+    extensions: ['.doc'],
+    mimeTypes: ['application/msword'],
+    // Word files saved as .docx but named .doc are read fine by word-extractor
+    signatures: ['ole', 'zip'],
+    zipEntries: ['word/document.xml']
+  },
+  {
+    label: 'DOCX',
+    feature: 'docx',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    signatures: ['zip'],
+    zipEntries: ['word/document.xml']
+  },
+  { label: 'PNG', feature: 'png', extensions: ['.png'], mimeTypes: ['image/png'], signatures: ['png'] },
+  {
+    label: 'JPG',
+    feature: 'jpg',
+    extensions: ['.jpg', '.jpeg'],
+    mimeTypes: ['image/jpeg', 'image/jpg'],
+    signatures: ['jpg']
+  },
+  {
+    label: 'Markdown',
+    feature: 'md',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    signatures: ['text']
+  },
+  { label: 'HTML', feature: 'html', extensions: ['.html', '.htm'], mimeTypes: ['text/html'], signatures: ['text'] },
+  { label: 'CSV', feature: 'csv', extensions: ['.csv'], mimeTypes: ['text/csv'], signatures: ['text'] },
+  {
+    label: 'XLSX',
+    feature: 'xlsx',
+    extensions: ['.xlsx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    signatures: ['zip'],
+    zipEntries: ['xl/workbook.xml']
+  },
+  {
+    label: 'PPTX',
+    feature: 'pptx',
+    extensions: ['.pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    signatures: ['zip'],
+    zipEntries: ['ppt/presentation.xml']
+  },
+  {
+    label: 'EPUB',
+    feature: 'epub',
+    extensions: ['.epub'],
+    mimeTypes: ['application/epub+zip'],
+    signatures: ['zip'],
+    zipEntries: ['mimetype', 'META-INF/container.xml']
+  },
+  { label: 'RTF', feature: 'rtf', extensions: ['.rtf'], mimeTypes: ['application/rtf', 'text/rtf'], signatures: ['rtf'] }
+];
+
+/**
+ * Plan features, one per group of file types
+ */
+export const PLAN_FEATURES = [...new Set(FILE_TYPES.map(type => type.feature))];
+
+/**
+ * ZIP archives are accepted by the batch upload and expanded into documents
+ */
+export const ARCHIVE_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+/**
+ * Every MIME type a document can be uploaded as
+ */
+export const ALLOWED_MIME_TYPES = FILE_TYPES.flatMap(type => type.mimeTypes);
+
+/**
+ * Readable list of the accepted types, for error messages
+ */
+export const ALLOWED_TYPES_LABEL = FILE_TYPES.map(type => type.label).join(', ');
+
+/**
+ * Find the file type of an upload. A known extension decides, since browsers
+ * report many of these formats as text/plain, application/zip or
+ * application/octet-stream; otherwise the MIME type is used.
+ * @param {string} filename
+ * @param {string} [mimetype]
+ * @returns {Object|null} Entry of FILE_TYPES with the canonical mimeType, or null
+ */
+export const getFileType = (filename, mimetype) => {
+  const extension = path.extname(filename || '').toLowerCase();
+
+  const type = FILE_TYPES.find(entry => entry.extensions.includes(extension))
+    || FILE_TYPES.find(entry => entry.mimeTypes.includes(mimetype));
+
+  return type ? { ...type, mimeType: type.mimeTypes[0] } : null;
+};
+
+/**
+ * Whether an upload is a ZIP archive to expand (XLSX, PPTX and EPUB files
+ * are ZIP containers too, but are documents of their own)
+ * @param {string} filename
+ * @param {string} [mimetype]
+ * @returns {boolean}
+ */
+export const isArchive = (filename, mimetype) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (FILE_TYPES.some(entry => entry.extensions.includes(extension))) return false;
+
+  return ARCHIVE_MIME_TYPES.includes(mimetype) || extension === '.zip';
+};
@@ -0,0 +1,14 @@
+/**
+ * Decode the payload of a JWT without verifying it.
+ * Only use on tokens that have already been verified by Supabase Auth.
+ * @param {string} token - The encoded JWT
+ * @returns {Object|null} The decoded claims, or null if the token is malformed
+ */
+export const decodeJwtPayload = (token) => {
+  try {
+    const [, payload] = token.split('.');
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
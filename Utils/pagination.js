@@ -0,0 +1,45 @@
+/**
+ * Keyset paging: a cursor holds the sort value and ID of the last row of a
+ * page, and the next page starts after that (value, id) pair, so rows that
+ * share a sort value are neither skipped nor repeated.
+ */
+
+/**
+ * Encode a paging cursor from the last row of a page
+ */
+export const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ value, id })).toString('base64url');
+
+/**
+ * Decode a paging cursor
+ * @throws {Error} With code 'invalid_cursor' if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!id) throw new Error();
+    return { value, id };
+  } catch (error) {
+    const cursorError = new Error('Invalid cursor');
+    cursorError.code = 'invalid_cursor';
+    throw cursorError;
+  }
+};
+
+/**
+ * Quote a value for use inside a PostgREST or() filter
+ */
+export const quoteFilterValue = (value) => `"${String(value ?? '').replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Build the or() filter for the rows after a cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {string} sortColumn - Column the rows are sorted by
+ * @param {string} idColumn - Unique column breaking ties
+ * @param {boolean} ascending - Sort direction of both columns
+ * @returns {string}
+ */
+export const afterCursorFilter = (cursor, sortColumn, idColumn, ascending) => {
+  const { value, id } = decodeCursor(cursor);
+  const op = ascending ? 'gt' : 'lt';
+  return `or(${sortColumn}.${op}.${quoteFilterValue(value)},and(${sortColumn}.eq.${quoteFilterValue(value)},${idColumn}.${op}.${quoteFilterValue(id)}))`;
+};
@@ -0,0 +1,36 @@
+/**
+ * Permissions that can be attached to routes with requirePermission()
+ */
+export const PERMISSIONS = {
+  BILLING_READ: 'billing:read',
+  BILLING_MANAGE: 'billing:manage',
+  SUBSCRIPTIONS_READ: 'subscriptions:read',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  SECURITY_MANAGE: 'security:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+/**
+ * Permissions granted to each profile role
+ */
+export const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  user: []
+};
+
+/**
+ * Get the permissions granted to a user through their role
+ * @param {Object} user - The authenticated user (req.user)
+ * @returns {string[]}
+ */
+export const getPermissions = (user) => ROLE_PERMISSIONS[user?.role] || [];
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - The authenticated user (req.user)
+ * @param {string} permission - Permission name, e.g. 'billing:manage'
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => getPermissions(user).includes(permission);
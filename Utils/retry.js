@@ -0,0 +1,92 @@
+/**
+ * Retry and concurrency helpers for calls to external APIs
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether an error from OpenAI, Supabase or fetch is worth retrying:
+ * rate limits, server errors and network failures
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+  const status = error?.status ?? error?.response?.status;
+  if (status) return status === 429 || status >= 500;
+
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error?.code)
+    || error?.name === 'APIConnectionError'
+    || error?.name === 'APIConnectionTimeoutError';
+};
+
+/**
+ * Read a Retry-After header from an API error, in milliseconds
+ */
+const getRetryAfterMs = (error) => {
+  const headers = error?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+};
+
+/**
+ * Run an async function, retrying with exponential backoff and jitter
+ * @param {Function} fn - Async function to run
+ * @param {Object} [options]
+ * @param {number} [options.retries=5] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=500] - Delay before the first retry
+ * @param {number} [options.maxDelayMs=20000] - Upper bound for a single delay
+ * @param {Function} [options.shouldRetry=isRetryableError] - Decides if an error is retried
+ * @returns {Promise<*>} Result of fn
+ */
+export const withRetry = async (fn, {
+  retries = 5,
+  baseDelayMs = 500,
+  maxDelayMs = 20000,
+  shouldRetry = isRetryableError
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delay = getRetryAfterMs(error) ?? backoff / 2 + Math.random() * backoff / 2;
+      await sleep(Math.min(delay, maxDelayMs));
+    }
+  }
+};
+
+/**
+ * Map over items with at most `concurrency` calls in flight. Stops starting
+ * new work after the first failure and, once the calls still in flight have
+ * settled, rejects with that error. Callers can clean up after a rejection
+ * without racing calls that are still running.
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the order of items
+ */
+export const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const run = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure ??= { error };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, run);
+  await Promise.all(workers);
+
+  if (failure) throw failure.error;
+  return results;
+};
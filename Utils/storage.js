@@ -0,0 +1,374 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import supabase from './supabaseClient.js';
+
+/**
+ * Backend new files are stored in: 'local', 'supabase' or 's3'. Documents
+ * remember their backend (storage_backend), so changing this only affects
+ * new uploads.
+ */
+export const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'uploads');
+const SUPABASE_STORAGE_BUCKET = process.env.SUPABASE_STORAGE_BUCKET || 'documents';
+
+// Base URL of this API, for download links to locally stored files.
+// Links are relative to the API host when not set.
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || '').replace(/\/$/, '');
+
+// Signs download links to locally stored files. Required in production,
+// where every server has to accept the links of the others and links must
+// survive restarts; elsewhere a per-process secret is used when not set.
+if (!process.env.DOWNLOAD_SIGNING_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('DOWNLOAD_SIGNING_SECRET is not configured');
+}
+
+const DOWNLOAD_SIGNING_SECRET = process.env.DOWNLOAD_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+const S3 = {
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`,
+  bucket: process.env.S3_BUCKET,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  // MinIO and most S3-compatible servers only support path-style URLs
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : !!process.env.S3_ENDPOINT
+};
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Percent-encode a value the way AWS signatures expect (RFC 3986)
+ */
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Content-Disposition header that downloads a file under its original name
+ */
+const contentDisposition = (filename) =>
+  `attachment; filename="${filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeRfc3986(filename)}`;
+
+/**
+ * Copy a file to a temporary path, run fn with it, and remove the copy
+ */
+const withTemporaryFile = async (key, buffer, fn) => {
+  const tempPath = path.join(os.tmpdir(), `${crypto.randomUUID()}${path.extname(key)}`);
+  await fs.promises.writeFile(tempPath, buffer);
+
+  try {
+    return await fn(tempPath);
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
+
+/**
+ * URL of an object in the S3 bucket
+ */
+const s3Url = (key) => {
+  const endpoint = new URL(S3.endpoint);
+  const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+
+  return S3.forcePathStyle
+    ? new URL(`${endpoint.origin}/${S3.bucket}/${encodedKey}`)
+    : new URL(`${endpoint.protocol}//${S3.bucket}.${endpoint.host}/${encodedKey}`);
+};
+
+/**
+ * Sign a canonical request with AWS Signature Version 4
+ * @returns {{ amzDate: string, scope: string, sign: Function }}
+ */
+const s3Signer = (date = new Date()) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${S3.region}/s3/aws4_request`;
+
+  const signingKey = [day, S3.region, 's3', 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${S3.secretAccessKey}`);
+
+  return {
+    amzDate,
+    scope,
+    sign: (canonicalRequest) => hmac(
+      signingKey,
+      ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n')
+    ).toString('hex')
+  };
+};
+
+const canonicalQuery = (query) => Object.keys(query)
+  .sort()
+  .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+  .join('&');
+
+/**
+ * Send a signed request for an object in the S3 bucket
+ * @returns {Promise<Response>}
+ */
+const s3Request = async (method, key, { body, contentType } = {}) => {
+  const url = s3Url(key);
+  const { amzDate, scope, sign } = s3Signer();
+  const payloadHash = sha256Hex(body || '');
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(contentType && { 'content-type': contentType })
+  };
+  const signedHeaders = Object.keys(headers).sort();
+
+  const signature = sign([
+    method,
+    url.pathname,
+    '',
+    signedHeaders.map(name => `${name}:${headers[name]}\n`).join(''),
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n'));
+
+  // fetch sets the host header itself
+  const { host, ...requestHeaders } = headers;
+  const response = await fetch(url, {
+    method,
+    body,
+    headers: {
+      ...requestHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${S3.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    }
+  });
+
+  if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+    throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${await response.text()}`);
+  }
+
+  return response;
+};
+
+/**
+ * Presigned GET URL of an object in the S3 bucket
+ * @param {string} key
+ * @param {number} expiresIn - Seconds
+ * @param {string} [filename] - Name to download the file as
+ * @param {Date} [date] - Signing time
+ */
+const presignS3Url = (key, expiresIn, filename, date = new Date()) => {
+  const url = s3Url(key);
+  const { amzDate, scope, sign } = s3Signer(date);
+
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${S3.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': 'host',
+    ...(filename && { 'response-content-disposition': contentDisposition(filename) })
+  };
+
+  const signature = sign(['GET', url.pathname, canonicalQuery(query), `host:${url.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n'));
+
+  return `${url.origin}${url.pathname}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+};
+
+/**
+ * Token of a download link to a locally stored file: the payload and its
+ * HMAC, both base64url encoded
+ */
+const signDownloadToken = (payload) => {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = hmac(DOWNLOAD_SIGNING_SECRET, encoded).toString('base64url');
+  return `${encoded}.${signature}`;
+};
+
+/**
+ * Check a download token created by the local backend
+ * @param {string} token
+ * @returns {{ key: string, filename: string }|null} The file, or null if the
+ *   token is invalid or expired
+ */
+export const verifyDownloadToken = (token) => {
+  const [encoded, signature] = String(token).split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = hmac(DOWNLOAD_SIGNING_SECRET, encoded);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+  if (payload.expires < Date.now()) return null;
+
+  return { key: payload.key, filename: payload.filename };
+};
+
+/**
+ * Storage backends. Every backend stores files under keys and offers:
+ * - store(key, filePath, { contentType }): move a local file into storage
+ * - read(key): the file's content as a Buffer
+ * - stream(key): a readable stream of the file's content, for large files
+ * - withLocalCopy(key, fn): run fn with a local path of the file
+ * - remove(key): delete the file, if it exists
+ * - getSignedUrl(key, { expiresIn, filename }): a download link valid for
+ *   expiresIn seconds
+ */
+const BACKENDS = {
+  local: {
+    name: 'local',
+
+    /**
+     * Path of a stored file. Files uploaded before keys were introduced are
+     * stored under their absolute path, which resolves to itself.
+     */
+    resolve(key) {
+      return path.resolve(LOCAL_STORAGE_DIR, key);
+    },
+
+    async store(key, filePath) {
+      const target = this.resolve(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      try {
+        await fs.promises.rename(filePath, target);
+      } catch (error) {
+        // The storage directory may be on another volume
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(filePath, target);
+        await fs.promises.rm(filePath, { force: true });
+      }
+    },
+
+    async read(key) {
+      return fs.promises.readFile(this.resolve(key));
+    },
+
+    // Opened first so a missing file fails here rather than mid-stream
+    async stream(key) {
+      const handle = await fs.promises.open(this.resolve(key));
+      return handle.createReadStream();
+    },
+
+    async withLocalCopy(key, fn) {
+      return fn(this.resolve(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(this.resolve(key), { force: true });
+    },
+
+    // Served by the /api/files route, which checks the token
+    async getSignedUrl(key, { expiresIn, filename }) {
+      const token = signDownloadToken({ key, filename, expires: Date.now() + expiresIn * 1000 });
+      return `${PUBLIC_API_URL}/api/files/${token}`;
+    }
+  },
+
+  supabase: {
+    name: 'supabase',
+
+    async store(key, filePath, { contentType } = {}) {
+      const { error } = await supabase.storage
+        .from(SUPABASE_STORAGE_BUCKET)
+        .upload(key, await fs.promises.readFile(filePath), { contentType, upsert: false });
+
+      if (error) throw error;
+      await fs.promises.rm(filePath, { force: true });
+    },
+
+    async read(key) {
+      const { data, error } = await supabase.storage
+        .from(SUPABASE_STORAGE_BUCKET)
+        .download(key);
+
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    // download() buffers the whole file, a signed URL can be streamed
+    async stream(key) {
+      const { data, error } = await supabase.storage
+        .from(SUPABASE_STORAGE_BUCKET)
+        .createSignedUrl(key, 60);
+
+      if (error) throw error;
+
+      const response = await fetch(data.signedUrl);
+      if (!response.ok) throw new Error(`Download of ${key} failed with ${response.status}`);
+      return Readable.fromWeb(response.body);
+    },
+
+    async withLocalCopy(key, fn) {
+      return withTemporaryFile(key, await this.read(key), fn);
+    },
+
+    async remove(key) {
+      const { error } = await supabase.storage
+        .from(SUPABASE_STORAGE_BUCKET)
+        .remove([key]);
+
+      if (error) throw error;
+    },
+
+    async getSignedUrl(key, { expiresIn, filename }) {
+      const { data, error } = await supabase.storage
+        .from(SUPABASE_STORAGE_BUCKET)
+        .createSignedUrl(key, expiresIn, { download: filename || true });
+
+      if (error) throw error;
+      return data.signedUrl;
+    }
+  },
+
+  s3: {
+    name: 's3',
+
+    async store(key, filePath, { contentType } = {}) {
+      await s3Request('PUT', key, { body: await fs.promises.readFile(filePath), contentType });
+      await fs.promises.rm(filePath, { force: true });
+    },
+
+    async read(key) {
+      const response = await s3Request('GET', key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async stream(key) {
+      const response = await s3Request('GET', key);
+      return Readable.fromWeb(response.body);
+    },
+
+    async withLocalCopy(key, fn) {
+      return withTemporaryFile(key, await this.read(key), fn);
+    },
+
+    async remove(key) {
+      await s3Request('DELETE', key);
+    },
+
+    async getSignedUrl(key, { expiresIn, filename }) {
+      return presignS3Url(key, expiresIn, filename);
+    }
+  }
+};
+
+/**
+ * Get a storage backend
+ * @param {string} [name] - Backend name, the configured one by default
+ */
+export const getStorage = (name = STORAGE_BACKEND) => {
+  const backend = BACKENDS[name];
+  if (!backend) throw new Error(`Unknown storage backend: ${name}`);
+  return backend;
+};
+
+/**
+ * Get the backend a document's file is stored in. Documents from before
+ * storage backends were introduced are on local disk.
+ * @param {Object} document - Row with storage_backend
+ */
+export const getDocumentStorage = (document) => getStorage(document.storage_backend || 'local');
@@ -2,11 +2,32 @@ import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 dotenv.config();
 
+// Server-side clients never keep a user session, otherwise a login would
+// swap the service-role credentials for that user's token
+const serverAuthOptions = {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false
+  }
+};
+
 // Initialize the Supabase client
 const supabase = createClient(
   process.env.SUPABASE_URL,
   // process.env.SUPABASE_ANON_KEY,
   process.env.SUPABASE_SERVICE_ROLE_KEY,
+  serverAuthOptions
+);
+
+/**
+ * Create a short-lived client for user-facing auth calls (sign in, refresh,
+ * verification) so the shared service-role client is never bound to a user
+ * @returns {SupabaseClient}
+ */
+export const createAuthClient = () => createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY,
+  serverAuthOptions
 );
 
-export default supabase;
\ No newline at end of file
+export default supabase;
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+
+// RFC 6238 defaults used by every common authenticator app
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} [timestamp] - Epoch milliseconds
+ * @returns {number}
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+
+/**
+ * Generate the code for a time step (RFC 4226 HOTP over the step counter)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step
+ * @returns {string}
+ */
+export const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(binary).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {number} options.window - Steps of drift to accept
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+export const verifyCode = (secret, code, { window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI used by authenticator apps and QR codes
+ * @param {Object} params
+ * @param {string} params.secret - Base32 encoded secret
+ * @param {string} params.label - Account label, usually the email
+ * @param {string} params.issuer - App name shown in the authenticator
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, label, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params}`;
+};
@@ -0,0 +1,14 @@
+import AuthModel from '../Models/AuthModel.js';
+import createPollingWorker from './createPollingWorker.js';
+
+// Deletes accounts whose grace period has ended
+const accountDeletionWorker = createPollingWorker({
+  name: 'Account deletion',
+  intervalMs: 60 * 60 * 1000,
+  async task() {
+    const processed = await AuthModel.processDueDeletions();
+    if (processed > 0) console.log(`🗑️ Processed ${processed} scheduled account deletion(s)`);
+  }
+});
+
+export default accountDeletionWorker;
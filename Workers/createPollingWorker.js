@@ -0,0 +1,53 @@
+/**
+ * Create a worker that runs a task on a fixed interval, never overlapping
+ * with itself. Tasks keep their state in the database so work survives
+ * restarts and the worker only needs to poll.
+ * @param {Object} options
+ * @param {string} options.name - Name used in logs
+ * @param {number} options.intervalMs - Time between runs
+ * @param {Function} options.task - Async function run on each tick
+ * @returns {{ runOnce: Function, start: Function, stop: Function }}
+ */
+const createPollingWorker = ({ name, intervalMs, task }) => {
+  let timer = null;
+  let running = false;
+
+  const worker = {
+    /**
+     * Run the task once, skipping if a previous run is still in progress
+     */
+    async runOnce() {
+      if (running) return;
+      running = true;
+
+      try {
+        await task();
+      } catch (error) {
+        console.error(`${name} worker error:`, error);
+      } finally {
+        running = false;
+      }
+    },
+
+    /**
+     * Start polling
+     */
+    start() {
+      if (timer) return;
+      timer = setInterval(() => worker.runOnce(), intervalMs);
+      worker.runOnce();
+    },
+
+    /**
+     * Stop polling
+     */
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return worker;
+};
+
+export default createPollingWorker;
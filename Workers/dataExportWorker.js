@@ -0,0 +1,20 @@
+import DataExportModel from '../Models/DataExportModel.js';
+import createPollingWorker from './createPollingWorker.js';
+
+// Builds personal data archives for large accounts, recovers interrupted
+// ones and cleans up expired ones
+const dataExportWorker = createPollingWorker({
+  name: 'Data export',
+  intervalMs: 30 * 1000,
+  async task() {
+    const requeued = await DataExportModel.requeueStalledExports();
+    if (requeued > 0) console.log(`🔁 Requeued ${requeued} interrupted data export(s)`);
+
+    const processed = await DataExportModel.processPendingExports();
+    if (processed > 0) console.log(`📦 Built ${processed} data export(s)`);
+
+    await DataExportModel.removeExpiredExports();
+  }
+});
+
+export default dataExportWorker;
@@ -0,0 +1,17 @@
+import DocumentModel from '../Models/DocumentModel.js';
+import createPollingWorker from './createPollingWorker.js';
+
+// Extracts and embeds uploaded documents outside the request cycle
+const documentIngestionWorker = createPollingWorker({
+  name: 'Document ingestion',
+  intervalMs: 5 * 1000,
+  async task() {
+    const requeued = await DocumentModel.requeueStalledDocuments();
+    if (requeued > 0) console.log(`🔁 Requeued ${requeued} interrupted document(s)`);
+
+    const processed = await DocumentModel.processQueuedDocuments();
+    if (processed > 0) console.log(`📄 Processed ${processed} document(s)`);
+  }
+});
+
+export default documentIngestionWorker;
@@ -5,18 +5,28 @@ import authRoutes from "./Routes/authRoutes.js"
 import documentRoutes from "./Routes/documentRoutes.js"
 import chatRoutes from "./Routes/chatRoutes.js"
 import stripeRoutes from "./Routes/stripeRoutes.js"
-import path from "path"
+import notificationRoutes from "./Routes/notificationRoutes.js"
+import auditLogRoutes from "./Routes/auditLogRoutes.js"
+import workspaceRoutes from "./Routes/workspaceRoutes.js"
+import fileRoutes from "./Routes/fileRoutes.js"
+import { authenticate, allowApiKey } from "./Middleware/authMiddleware.js"
+import accountDeletionWorker from "./Workers/accountDeletionWorker.js"
+import dataExportWorker from "./Workers/dataExportWorker.js"
+import documentIngestionWorker from "./Workers/documentIngestionWorker.js"
 import cors from "cors"
 dotenv.config();
 const app = express();
+// Needed behind a proxy/load balancer so req.ip (used for rate limits and
+// session tracking) is the client address, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 app.use(cors())
 // for stripe webhook
 app.use('/api/stripe/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 
-// multer route for handling files in uploads folder
-app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
-
 // Sample Route
 app.get('/', (req, res) => {
   res.json({ message: 'Email Confirmed' });
@@ -27,14 +37,22 @@ app.get('/test-connection', handleTestConnection);
 
 // API routes
 app.use('/api/auth', authRoutes);
-app.use('/api/documents', documentRoutes);
-app.use('/api/chats', chatRoutes);
+app.use('/api/documents', allowApiKey('documents'), authenticate, documentRoutes);
+app.use('/api/chats', allowApiKey('chats'), authenticate, chatRoutes);
 app.use('/api/stripe', stripeRoutes);
+app.use('/api/notifications', authenticate, notificationRoutes);
+app.use('/api/audit-logs', authenticate, auditLogRoutes);
+app.use('/api/workspaces', authenticate, workspaceRoutes);
+// Signed download links carry their own authorization
+app.use('/api/files', fileRoutes);
 
 const PORT = process.env.PORT || 3000;
 
 const server = app.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
   await testConnection();
+  accountDeletionWorker.start();
+  dataExportWorker.start();
+  documentIngestionWorker.start();
 });
 server.setTimeout(60000);
\ No newline at end of file
@@ -0,0 +1,19 @@
+-- Sessions issued to each user, one row per Supabase session, so users can
+-- list their devices and revoke them (SessionModel). Tokens of a revoked
+-- session are rejected by the auth middleware and cannot be refreshed.
+create table if not exists public.user_sessions (
+  session_id uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  device text,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
+
+create index if not exists user_sessions_user_id_idx
+  on public.user_sessions (user_id)
+  where revoked_at is null;
+
+alter table public.user_sessions enable row level security;
@@ -0,0 +1,26 @@
+-- Account deletions scheduled after a grace period and carried out by the
+-- account deletion worker (AuthModel.processDueAccountDeletions). Rows
+-- outlive the user as a receipt, so user_id has no foreign key.
+create table if not exists public.account_deletions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  email text,
+  requested_by uuid,
+  status text not null default 'pending'
+    check (status in ('pending', 'cancelled', 'completed', 'failed')),
+  requested_at timestamptz not null default now(),
+  scheduled_for timestamptz not null,
+  cancelled_at timestamptz,
+  completed_at timestamptz,
+  summary jsonb,
+  error text
+);
+
+create index if not exists account_deletions_user_id_idx
+  on public.account_deletions (user_id, requested_at desc);
+
+create index if not exists account_deletions_due_idx
+  on public.account_deletions (scheduled_for)
+  where status = 'pending';
+
+alter table public.account_deletions enable row level security;
@@ -0,0 +1,40 @@
+-- Personal data exports (DataExportModel). Archives are built inline or by
+-- the data export worker, kept for a limited time, then expired.
+create table if not exists public.data_exports (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  status text not null default 'pending'
+    check (status in ('pending', 'processing', 'ready', 'failed', 'expired')),
+  file_path text,
+  file_size bigint,
+  error text,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  expires_at timestamptz
+);
+
+create index if not exists data_exports_user_id_idx
+  on public.data_exports (user_id);
+
+create index if not exists data_exports_pending_idx
+  on public.data_exports (created_at)
+  where status = 'pending';
+
+alter table public.data_exports enable row level security;
+
+-- In-app notifications, e.g. when an export is ready (NotificationModel)
+create table if not exists public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  type text not null,
+  title text not null,
+  message text,
+  data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  read_at timestamptz
+);
+
+create index if not exists notifications_user_id_idx
+  on public.notifications (user_id, created_at desc);
+
+alter table public.notifications enable row level security;
@@ -0,0 +1,18 @@
+-- Personal API keys (ApiKeyModel). Only a SHA-256 hash of each key is
+-- stored; key_prefix is shown to users so they can tell their keys apart.
+create table if not exists public.api_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  key_prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+
+create index if not exists api_keys_user_id_idx
+  on public.api_keys (user_id);
+
+alter table public.api_keys enable row level security;
@@ -0,0 +1,10 @@
+-- Suspended accounts cannot log in or use their sessions and API keys
+-- (AuthModel.suspendUser). suspended_at is null for active accounts.
+alter table public.profiles
+  add column if not exists suspended_at timestamptz,
+  add column if not exists suspended_reason text,
+  add column if not exists suspended_by uuid;
+
+create index if not exists profiles_suspended_at_idx
+  on public.profiles (suspended_at)
+  where suspended_at is not null;
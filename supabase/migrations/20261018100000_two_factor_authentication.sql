@@ -0,0 +1,38 @@
+-- TOTP second factor of each user (MfaModel). The secret is encrypted with
+-- MFA_ENCRYPTION_KEY and recovery codes are stored as SHA-256 hashes.
+-- enabled_at stays null until enrollment is confirmed with a code.
+create table if not exists public.user_mfa (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  secret_encrypted text not null,
+  enabled_at timestamptz,
+  last_used_step bigint,
+  recovery_codes text[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+alter table public.user_mfa enable row level security;
+
+-- Logins waiting for their second factor. The session from the password
+-- step is held encrypted and cleared once the challenge is used.
+create table if not exists public.mfa_challenges (
+  id uuid primary key default gen_random_uuid(),
+  token_hash text not null unique,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  session_encrypted text,
+  attempts integer not null default 0,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz
+);
+
+alter table public.mfa_challenges enable row level security;
+
+-- Application-wide settings, e.g. mfa_required_roles
+create table if not exists public.app_settings (
+  key text primary key,
+  value jsonb not null,
+  updated_by uuid,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.app_settings enable row level security;
@@ -0,0 +1,27 @@
+-- Administrative and billing actions (AuditLogModel). Entries keep the
+-- actor's email so they stay readable after the account is deleted.
+create table if not exists public.audit_logs (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid,
+  actor_email text,
+  action text not null,
+  target_type text,
+  target_id text,
+  before jsonb,
+  after jsonb,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+-- Pages are read newest first, with the ID breaking ties
+create index if not exists audit_logs_created_at_id_idx
+  on public.audit_logs (created_at desc, id desc);
+
+create index if not exists audit_logs_actor_id_idx
+  on public.audit_logs (actor_id);
+
+create index if not exists audit_logs_target_idx
+  on public.audit_logs (target_type, target_id);
+
+alter table public.audit_logs enable row level security;
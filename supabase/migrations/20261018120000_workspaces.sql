@@ -0,0 +1,63 @@
+-- Team workspaces (WorkspaceModel). Members share the workspace documents
+-- and the chats their authors mark as shared. WorkspaceModel.deleteWorkspace
+-- removes chats, invitations and members before the workspace itself.
+create table if not exists public.workspaces (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  owner_id uuid not null,
+  created_at timestamptz not null default now()
+);
+
+alter table public.workspaces enable row level security;
+
+-- user_id references profiles so members can be listed with their profile
+create table if not exists public.workspace_members (
+  workspace_id uuid not null references public.workspaces (id),
+  user_id uuid not null references public.profiles (user_id) on delete cascade,
+  role text not null check (role in ('viewer', 'editor', 'owner')),
+  created_at timestamptz not null default now(),
+  primary key (workspace_id, user_id)
+);
+
+create index if not exists workspace_members_user_id_idx
+  on public.workspace_members (user_id);
+
+alter table public.workspace_members enable row level security;
+
+-- Emails are stored lowercase and matched against the invitee's email
+create table if not exists public.workspace_invitations (
+  id uuid primary key default gen_random_uuid(),
+  workspace_id uuid not null references public.workspaces (id),
+  email text not null,
+  role text not null check (role in ('viewer', 'editor', 'owner')),
+  invited_by uuid,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  accepted_at timestamptz
+);
+
+create index if not exists workspace_invitations_workspace_id_idx
+  on public.workspace_invitations (workspace_id);
+
+create index if not exists workspace_invitations_email_idx
+  on public.workspace_invitations (email)
+  where accepted_at is null;
+
+alter table public.workspace_invitations enable row level security;
+
+-- Documents and chats created in a workspace. Personal ones have none.
+alter table public.documents
+  add column if not exists workspace_id uuid references public.workspaces (id);
+
+alter table public.chats
+  add column if not exists workspace_id uuid references public.workspaces (id),
+  add column if not exists visibility text not null default 'private'
+    check (visibility in ('private', 'shared'));
+
+create index if not exists documents_workspace_id_idx
+  on public.documents (workspace_id)
+  where workspace_id is not null;
+
+create index if not exists chats_workspace_id_idx
+  on public.chats (workspace_id)
+  where workspace_id is not null;
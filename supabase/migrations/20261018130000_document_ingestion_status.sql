@@ -0,0 +1,29 @@
+-- Documents are extracted and embedded by the document worker after the
+-- upload responds (DocumentModel.processDocument):
+-- queued -> extracting -> embedding -> ready, or failed with an error.
+-- Documents uploaded before this change were processed during the upload,
+-- so they start out ready; new rows always set their status.
+alter table public.documents
+  add column if not exists mime_type text,
+  add column if not exists status text not null default 'ready'
+    check (status in ('queued', 'extracting', 'embedding', 'ready', 'failed')),
+  add column if not exists progress integer not null default 100
+    check (progress between 0 and 100),
+  add column if not exists error text,
+  add column if not exists attempts integer not null default 0,
+  add column if not exists processing_started_at timestamptz,
+  add column if not exists processed_at timestamptz;
+
+alter table public.documents
+  alter column status set default 'queued',
+  alter column progress set default 0;
+
+create index if not exists documents_queued_idx
+  on public.documents (created_at)
+  where status = 'queued';
+
+-- Documents still extracting or embedding after a while were interrupted
+-- and are requeued (DocumentModel.requeueStalledDocuments)
+create index if not exists documents_processing_started_at_idx
+  on public.documents (processing_started_at)
+  where status in ('extracting', 'embedding');
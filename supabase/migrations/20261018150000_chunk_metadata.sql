@@ -0,0 +1,13 @@
+-- Where each chunk comes from, so answers can cite a page or section
+-- (Utils/chunker.js). page_offsets holds the character offset
+-- at which each page of a document starts, or null for unpaged formats.
+alter table public.documents
+  add column if not exists page_offsets integer[];
+
+alter table public.document_embeddings
+  add column if not exists chunk_index integer,
+  add column if not exists page_number integer,
+  add column if not exists start_offset integer,
+  add column if not exists end_offset integer,
+  add column if not exists section_heading text,
+  add column if not exists token_count integer;
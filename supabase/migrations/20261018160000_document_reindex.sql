@@ -0,0 +1,4 @@
+-- Set when a document is queued again to rebuild its embeddings from the
+-- extracted content instead of the file (DocumentModel.reindexDocument)
+alter table public.documents
+  add column if not exists reindex boolean not null default false;
@@ -0,0 +1,4 @@
+-- Generated summaries of a document, keyed by their options
+-- (SummaryModel.summarizeDocument)
+alter table public.documents
+  add column if not exists summaries jsonb;
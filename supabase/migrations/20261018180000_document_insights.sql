@@ -0,0 +1,4 @@
+-- Outline, key points, entities and action items extracted from a document
+-- (SummaryModel.extractInsights)
+alter table public.documents
+  add column if not exists insights jsonb;
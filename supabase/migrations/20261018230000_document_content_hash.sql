@@ -0,0 +1,15 @@
+-- SHA-256 of an uploaded file, used to spot duplicates. A document whose
+-- content matches one that is already processed shares its embeddings and
+-- points to it with source_document_id; those embeddings are handed to a
+-- remaining reference before the source is deleted
+-- (DocumentModel.releaseSharedEmbeddings).
+alter table public.documents
+  add column if not exists content_hash text,
+  add column if not exists source_document_id uuid references public.documents (id);
+
+create index if not exists documents_content_hash_idx
+  on public.documents (content_hash);
+
+create index if not exists documents_source_document_id_idx
+  on public.documents (source_document_id)
+  where source_document_id is not null;
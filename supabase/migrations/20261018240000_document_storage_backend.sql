@@ -0,0 +1,11 @@
+-- Backend each file is stored with (Utils/storage.js), so files stay
+-- readable after STORAGE_BACKEND changes. Files uploaded before this
+-- change are on the local disk.
+alter table public.documents
+  add column if not exists storage_backend text not null default 'local'
+    check (storage_backend in ('local', 'supabase', 's3'));
+
+-- Private bucket of the supabase backend (SUPABASE_STORAGE_BUCKET)
+insert into storage.buckets (id, name, public)
+values ('documents', 'documents', false)
+on conflict (id) do nothing;
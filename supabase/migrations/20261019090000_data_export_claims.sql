@@ -0,0 +1,9 @@
+-- When an export was claimed by a worker, and how often, so exports left
+-- 'processing' by a restart can be requeued (DataExportModel.requeueStalledExports)
+alter table public.data_exports
+  add column if not exists started_at timestamptz,
+  add column if not exists attempts integer not null default 0;
+
+create index if not exists data_exports_processing_started_at_idx
+  on public.data_exports (started_at)
+  where status = 'processing';
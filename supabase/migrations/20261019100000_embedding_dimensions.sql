@@ -0,0 +1,58 @@
+-- Documents can be embedded with models of different sizes (OpenAI's
+-- ada-002 has 1536 dimensions, the local all-MiniLM-L6-v2 384), so
+-- document_embeddings.embedding no longer fixes a dimension. All chunks of
+-- a document share the dimension recorded on the document, and searches
+-- compare a query only with the chunks of one document.
+alter table public.documents
+  add column if not exists embedding_provider text,
+  add column if not exists embedding_model text,
+  add column if not exists embedding_dimension integer;
+
+-- Approximate nearest neighbour indexes need a fixed dimension. Searches
+-- filter on document_id first and scan that document's chunks exactly.
+do $$
+declare
+  index_name text;
+begin
+  for index_name in
+    select index_class.relname
+    from pg_index
+    join pg_class index_class on index_class.oid = pg_index.indexrelid
+    join pg_am on pg_am.oid = index_class.relam
+    where pg_index.indrelid = 'public.document_embeddings'::regclass
+      and pg_am.amname in ('ivfflat', 'hnsw')
+  loop
+    execute format('drop index public.%I', index_name);
+  end loop;
+end $$;
+
+alter table public.document_embeddings
+  alter column embedding type vector;
+
+create index if not exists document_embeddings_document_id_idx
+  on public.document_embeddings (document_id);
+
+drop function if exists public.match_document_embeddings(vector, uuid, float, int);
+
+-- Chunks of a document similar to a query embedding. Chunks of another
+-- dimension than the query (from a model the document is no longer
+-- embedded with) never match.
+create function public.match_document_embeddings(
+  query_embedding vector,
+  document_id uuid,
+  match_threshold float,
+  match_count int
+)
+returns table (content text, similarity float)
+language sql stable
+as $$
+  select
+    document_embeddings.content,
+    1 - (document_embeddings.embedding <=> query_embedding) as similarity
+  from public.document_embeddings
+  where document_embeddings.document_id = match_document_embeddings.document_id
+    and vector_dims(document_embeddings.embedding) = vector_dims(query_embedding)
+    and 1 - (document_embeddings.embedding <=> query_embedding) > match_threshold
+  order by document_embeddings.embedding <=> query_embedding
+  limit match_count;
+$$;
@@ -0,0 +1,15 @@
+-- Store one cached summary of a document (SummaryModel.summarizeDocument)
+-- without rewriting the others, so summaries generated at the same time
+-- with different options do not overwrite each other
+create or replace function public.set_document_summary(
+  document_id uuid,
+  summary_key text,
+  summary jsonb
+)
+returns void
+language sql
+as $$
+  update public.documents
+  set summaries = jsonb_set(coalesce(documents.summaries, '{}'::jsonb), array[summary_key], summary)
+  where documents.id = set_document_summary.document_id;
+$$;
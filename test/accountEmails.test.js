@@ -0,0 +1,34 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import authController from '../Controllers/authController.js';
+import AuthModel from '../Models/AuthModel.js';
+import { fakeResponse } from './helpers/fakes.js';
+
+test('resending a verification email responds the same whether or not it was sent', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const resend = t.mock.method(AuthModel, 'resendVerification', async () => ({ success: true }));
+
+  const sent = fakeResponse();
+  await authController.resendVerification({ body: { email: 'user@example.com' } }, sent);
+
+  resend.mock.mockImplementation(async () => {
+    throw new Error('Email rate limit exceeded for user@example.com');
+  });
+
+  const failed = fakeResponse();
+  await authController.resendVerification({ body: { email: 'user@example.com' } }, failed);
+
+  assert.equal(sent.statusCode, 200);
+  assert.deepEqual(failed.body, sent.body);
+  assert.equal(failed.body.error, undefined);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('resending a verification email without an email responds 400', async () => {
+  const res = fakeResponse();
+  await authController.resendVerification({ body: {} }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'Email is required');
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { openZip, extractZipEntries } from '../Utils/archive.js';
+
+const LIMITS = { maxEntries: 5, maxEntrySize: 1024, maxTotalSize: 2048 };
+
+const makeZip = async (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const tempDir = async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('extractZipEntries streams files to disk and skips hidden entries', async (t) => {
+  const dir = await tempDir(t);
+  const archivePath = path.join(dir, 'upload.zip');
+  await fs.promises.writeFile(archivePath, await makeZip({
+    'notes/a.txt': 'first',
+    'b.md': '# second',
+    '__MACOSX/._a.txt': 'metadata',
+    '.hidden': 'hidden'
+  }));
+
+  const entries = await extractZipEntries(archivePath, LIMITS, (name) => path.join(dir, `out-${name}`));
+
+  assert.deepEqual(entries.map(({ name, size }) => ({ name, size })), [
+    { name: 'a.txt', size: 5 },
+    { name: 'b.md', size: 8 }
+  ]);
+  assert.equal(await fs.promises.readFile(entries[0].path, 'utf8'), 'first');
+});
+
+test('extractZipEntries reports files over the entry limit and keeps going', async (t) => {
+  const dir = await tempDir(t);
+  const archivePath = path.join(dir, 'upload.zip');
+  await fs.promises.writeFile(archivePath, await makeZip({ 'big.txt': '0'.repeat(1500), 'small.txt': 'ok' }));
+
+  const entries = await extractZipEntries(archivePath, LIMITS, (name) => path.join(dir, `out-${name}`));
+
+  assert.deepEqual(entries.map(entry => entry.error || 'ok'), ['File is too large', 'ok']);
+  assert.equal(fs.existsSync(path.join(dir, 'out-big.txt')), false);
+});
+
+test('extractZipEntries fails and removes extracted files when the archive expands too far', async (t) => {
+  const dir = await tempDir(t);
+  const archivePath = path.join(dir, 'upload.zip');
+  await fs.promises.writeFile(archivePath, await makeZip({
+    'a.txt': '0'.repeat(1000),
+    'b.txt': '0'.repeat(1000),
+    'c.txt': '0'.repeat(1000)
+  }));
+
+  await assert.rejects(
+    extractZipEntries(archivePath, LIMITS, (name) => path.join(dir, `out-${name}`)),
+    { code: 'archive_too_large' }
+  );
+  assert.deepEqual((await fs.promises.readdir(dir)).filter(name => name.startsWith('out-')), []);
+});
+
+test('openZip rejects archives with too many files', async () => {
+  const files = Object.fromEntries(Array.from({ length: 6 }, (_, i) => [`${i}.txt`, 'x']));
+  await assert.rejects(openZip(await makeZip(files), LIMITS), { code: 'too_many_entries' });
+});
+
+test('openZip checks the real size of entries, not only the declared one', async () => {
+  const archive = await openZip(await makeZip({ 'part.xml': '0'.repeat(1500) }), LIMITS);
+
+  // A crafted archive can declare a smaller size than it inflates to
+  archive.zip.file('part.xml')._data.uncompressedSize = 10;
+
+  await assert.rejects(archive.readText('part.xml'), { code: 'entry_too_large' });
+  assert.equal(await archive.readText('missing.xml'), null);
+});
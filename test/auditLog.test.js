@@ -0,0 +1,85 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AuditLogModel from '../Models/AuditLogModel.js';
+import auditLogController from '../Controllers/auditLogController.js';
+import supabase from '../Utils/supabaseClient.js';
+import { fakeQuery, fakeResponse } from './helpers/fakes.js';
+
+test('the next page starts after the last entry, including entries of the same instant', async (t) => {
+  const createdAt = '2026-10-19T12:00:00.000Z';
+  const rows = [
+    { id: 'c', created_at: createdAt },
+    { id: 'b', created_at: createdAt },
+    { id: 'a', created_at: createdAt }
+  ];
+
+  const calls = [];
+  t.mock.method(supabase, 'from', () => fakeQuery({ data: rows, error: null }, calls));
+
+  const { entries, nextCursor } = await AuditLogModel.getLogs({ limit: 2 });
+  assert.deepEqual(entries.map(entry => entry.id), ['c', 'b']);
+  assert.ok(nextCursor);
+  assert.deepEqual(calls.filter(([method]) => method === 'order'), [
+    ['order', 'created_at', { ascending: false }],
+    ['order', 'id', { ascending: false }]
+  ]);
+
+  calls.length = 0;
+  await AuditLogModel.getLogs({ limit: 2, cursor: nextCursor });
+  assert.deepEqual(calls.find(([method]) => method === 'or'), [
+    'or',
+    `or(created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt."b"))`
+  ]);
+});
+
+test('getLogs responds 400 to a malformed cursor', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(supabase, 'from', () => fakeQuery({ data: [], error: null }));
+
+  const res = fakeResponse();
+  await auditLogController.getLogs({ query: { cursor: 'not-a-cursor' } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'Invalid cursor');
+});
+
+test('getLogs and exportLogs respond 500 without details outside development', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(supabase, 'from', () => fakeQuery({ data: null, error: new Error('permission denied for table audit_logs') }));
+
+  const logsResponse = fakeResponse();
+  await auditLogController.getLogs({ query: {} }, logsResponse);
+
+  assert.equal(logsResponse.statusCode, 500);
+  assert.equal(logsResponse.body.message, 'Failed to retrieve audit logs');
+  assert.equal(logsResponse.body.error, undefined);
+
+  const exportResponse = fakeResponse();
+  await auditLogController.exportLogs({ query: { format: 'json' } }, exportResponse);
+
+  assert.equal(exportResponse.statusCode, 500);
+  assert.equal(exportResponse.body.message, 'Failed to export audit logs');
+  assert.equal(exportResponse.body.error, undefined);
+});
+
+test('an action prefix matches its wildcard characters literally', async (t) => {
+  const calls = [];
+  t.mock.method(supabase, 'from', () => fakeQuery({ data: [], error: null }, calls));
+
+  await AuditLogModel.getLogs({ action: 'user_role.50%\\*' });
+  assert.deepEqual(calls.find(([method]) => method === 'like'), ['like', 'action', 'user\\_role.50\\%\\\\%']);
+});
+
+test('CSV exports show cells that look like formulas as text', () => {
+  const csv = AuditLogModel.toCsv([{
+    actor_email: '=HYPERLINK("http://example.com")',
+    action: '+plan.update',
+    target_type: '-1',
+    target_id: '@SUM(A1)',
+    user_agent: 'Mozilla/5.0'
+  }]);
+
+  const [, row] = csv.split('\n');
+  assert.equal(row, ',,"\'=HYPERLINK(""http://example.com"")",\'+plan.update,\'-1,\'@SUM(A1),,Mozilla/5.0,,');
+});
@@ -0,0 +1,46 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ChatModel from '../Models/ChatModel.js';
+import supabase from '../Utils/supabaseClient.js';
+import { getEmbedder } from '../Utils/embeddings.js';
+
+test('a duplicate is searched with the model its source is embedded with now', async (t) => {
+  const local = getEmbedder({ provider: 'local' });
+  const queryEmbedding = new Array(384).fill(0.05);
+  const embedQuery = t.mock.method(local, 'embedQuery', async () => queryEmbedding);
+  const rpc = t.mock.method(supabase, 'rpc', async () => ({
+    data: [{ content: 'First chunk' }, { content: 'Second chunk' }],
+    error: null
+  }));
+
+  // The duplicate was uploaded while the source was embedded with OpenAI
+  const context = await ChatModel.getRelevantContext({
+    id: 'duplicate-1',
+    source_document_id: 'source-1',
+    embedding_provider: 'openai',
+    embedding_model: 'text-embedding-ada-002',
+    source_document: { id: 'source-1', embedding_provider: 'local', embedding_model: local.model }
+  }, 'What is this about?');
+
+  assert.equal(context, 'First chunk\n\nSecond chunk');
+  assert.deepEqual(embedQuery.mock.calls[0].arguments, ['What is this about?']);
+  assert.deepEqual(rpc.mock.calls[0].arguments, ['match_document_embeddings', {
+    query_embedding: queryEmbedding,
+    document_id: 'source-1',
+    match_threshold: local.matchThreshold,
+    match_count: 5
+  }]);
+});
+
+test('a document is searched with its own model and the threshold of its provider', async (t) => {
+  const openai = getEmbedder({ provider: 'openai', model: 'text-embedding-ada-002' });
+  t.mock.method(openai, 'embedQuery', async () => [0.1, 0.2]);
+  const rpc = t.mock.method(supabase, 'rpc', async () => ({ data: [], error: null }));
+
+  await ChatModel.getRelevantContext({ id: 'document-1', source_document_id: null, source_document: null }, 'Hello');
+
+  const [, params] = rpc.mock.calls[0].arguments;
+  assert.equal(params.document_id, 'document-1');
+  assert.equal(params.match_threshold, 0.7);
+});
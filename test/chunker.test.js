@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
+import { chunkText, countTokens } from '../Utils/chunker.js';
+
+test('countTokens matches the encoder on ordinary text', () => {
+  const encoder = new Tiktoken(cl100k_base);
+  const text = 'Hello world, this is a test.\n\nA second paragraph with https://example.com/a/link.';
+
+  assert.equal(countTokens(text), encoder.encode(text).length);
+  assert.equal(countTokens(''), 0);
+});
+
+test('countTokens stays fast on long runs without whitespace', () => {
+  const started = Date.now();
+
+  const tokens = countTokens('a'.repeat(100000));
+  countTokens(' '.repeat(100000));
+  countTokens('中文'.repeat(50000));
+
+  assert.ok(tokens > 0);
+  assert.ok(Date.now() - started < 10000, `took ${Date.now() - started}ms`);
+});
+
+test('chunkText splits long runs without whitespace into bounded chunks', () => {
+  const run = 'x'.repeat(100000);
+  const text = `Intro paragraph.\n\n${run}\n\nOutro paragraph.`;
+
+  const chunks = chunkText(text, { maxTokens: 500, overlapTokens: 50 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.tokenCount <= 500, `chunk of ${chunk.tokenCount} tokens`);
+    assert.equal(chunk.content, text.slice(chunk.startOffset, chunk.endOffset));
+  }
+  assert.ok(chunks.some(chunk => chunk.content.includes('Outro paragraph.')));
+});
+
+test('chunkText keeps sections and page numbers', () => {
+  const text = '# Scope\n\nFirst page text.\n\nSecond page text.';
+  const chunks = chunkText(text, { maxTokens: 5, overlapTokens: 0, pageOffsets: [0, text.indexOf('Second')] });
+
+  assert.deepEqual(chunks.map(chunk => [chunk.sectionHeading, chunk.pageNumber]), [
+    ['Scope', 1],
+    ['Scope', 1],
+    ['Scope', 2]
+  ]);
+});
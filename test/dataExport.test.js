@@ -0,0 +1,78 @@
+import './helpers/env.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { fakeQuery, fakeResponse } from './helpers/fakes.js';
+
+// Archives are written below the working directory
+const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'export-test-'));
+process.chdir(workDir);
+after(() => fs.promises.rm(workDir, { recursive: true, force: true }));
+
+const { default: DataExportModel } = await import('../Models/DataExportModel.js');
+const { default: AuthModel } = await import('../Models/AuthModel.js');
+const { default: supabase } = await import('../Utils/supabaseClient.js');
+const { default: authController } = await import('../Controllers/authController.js');
+
+test('buildArchive streams originals and lists only those it could read', async (t) => {
+  const originalPath = path.join(workDir, 'original.txt');
+  await fs.promises.writeFile(originalPath, 'original contents');
+
+  const documents = [
+    { id: 'doc-1', filename: 'notes.txt', file_path: originalPath, content: 'notes' },
+    { id: 'doc-2', filename: 'gone.pdf', file_path: path.join(workDir, 'missing.pdf'), content: null }
+  ];
+
+  t.mock.method(AuthModel, 'getUserById', async () => ({ user_id: 'user-1', email: 'a@example.com' }));
+  t.mock.method(supabase, 'from', (table) => fakeQuery({ data: table === 'documents' ? documents : [], error: null }));
+  t.mock.method(console, 'error', () => {});
+
+  const filePath = await DataExportModel.buildArchive('user-1', 'export-1');
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+
+  assert.equal(await zip.file('documents/doc-1/original/notes.txt').async('string'), 'original contents');
+  assert.equal(await zip.file('documents/doc-1/content.txt').async('string'), 'notes');
+
+  const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+  assert.ok(manifest.files.includes('documents/doc-1/original/notes.txt'));
+  assert.ok(!manifest.files.includes('documents/doc-2/original/gone.pdf'));
+  assert.equal(manifest.counts.documents, 2);
+});
+
+test('requeueStalledExports requeues interrupted exports and fails repeat offenders', async (t) => {
+  const updates = [];
+  const selectCalls = [];
+
+  t.mock.method(supabase, 'from', () => ({
+    select: (...args) => fakeQuery({ data: [{ id: 'export-1', attempts: 1 }, { id: 'export-2', attempts: 3 }], error: null }, selectCalls),
+    update: (values) => {
+      const calls = [];
+      updates.push({ values, calls });
+      return fakeQuery({ error: null }, calls);
+    }
+  }));
+
+  assert.equal(await DataExportModel.requeueStalledExports(), 2);
+
+  assert.deepEqual(selectCalls[0], ['eq', 'status', 'processing']);
+  assert.deepEqual(updates.map(update => update.values.status), ['pending', 'failed']);
+
+  // Only exports still processing are changed, not ones a worker finished meanwhile
+  assert.deepEqual(updates[0].calls, [['eq', 'id', 'export-1'], ['eq', 'status', 'processing']]);
+});
+
+test('requestDataExport reports an export that failed while built inline', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(DataExportModel, 'requestExport', async () => ({ id: 'export-1', status: 'failed', error: 'disk full' }));
+
+  const res = fakeResponse();
+  await authController.requestDataExport({ user: { id: 'user-1' } }, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.message, 'Your data export failed. Please try again.');
+  assert.equal(res.body.error, undefined);
+});
@@ -0,0 +1,100 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import documentController from '../Controllers/documentController.js';
+import DocumentModel from '../Models/DocumentModel.js';
+import supabase from '../Utils/supabaseClient.js';
+import { fakeQuery, fakeResponse, mockTables } from './helpers/fakes.js';
+
+const request = { params: { id: 'doc-1' }, user: { id: 'user-1' } };
+
+test('retrying a document that has not failed responds 409', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(DocumentModel, 'getDocument', async () => ({ id: 'doc-1', status: 'ready' }));
+
+  const res = fakeResponse();
+  await documentController.retryDocument(request, res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.message, 'Only failed documents can be retried');
+});
+
+test('retrying a document retried by another request in the meantime responds 409', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(DocumentModel, 'getDocument', async () => ({ id: 'doc-1', status: 'failed' }));
+  t.mock.method(supabase, 'from', () => fakeQuery({ data: null, error: null }));
+
+  const res = fakeResponse();
+  await documentController.retryDocument(request, res);
+
+  assert.equal(res.statusCode, 409);
+});
+
+test('retrying a document responds 500 without details when the database fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(DocumentModel, 'getDocument', async () => ({ id: 'doc-1', status: 'failed' }));
+  t.mock.method(supabase, 'from', () => fakeQuery({ data: null, error: new Error('connection refused') }));
+
+  const res = fakeResponse();
+  await documentController.retryDocument(request, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.message, 'Failed to retry document');
+  assert.equal(res.body.error, undefined);
+});
+
+test('re-indexing a document that is being processed responds 409', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(DocumentModel, 'getDocument', async () => ({ id: 'doc-1', status: 'embedding', content: 'Text' }));
+
+  const res = fakeResponse();
+  await documentController.reindexDocument(request, res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.message, 'Document is already being processed');
+});
+
+test('re-indexing a document without extracted text responds 409', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(DocumentModel, 'getDocument', async () => ({ id: 'doc-1', status: 'failed', content: null }));
+
+  const res = fakeResponse();
+  await documentController.reindexDocument(request, res);
+
+  assert.equal(res.statusCode, 409);
+});
+
+test('re-indexing a document responds 500 without details when the database fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(DocumentModel, 'getDocument', async () => ({ id: 'doc-1', status: 'ready', content: 'Text' }));
+  t.mock.method(supabase, 'from', () => fakeQuery({ data: null, error: new Error('connection refused') }));
+
+  const res = fakeResponse();
+  await documentController.reindexDocument(request, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.message, 'Failed to re-index document');
+  assert.equal(res.body.error, undefined);
+});
+
+test('requeueing stalled documents skips those finished in the meantime and counts the rest', async (t) => {
+  const calls = mockTables(t, supabase, {
+    'documents.select': { data: [{ id: 'doc-1', attempts: 1 }, { id: 'doc-2', attempts: 3 }], error: null },
+    // doc-1 was finished by the worker after it was selected
+    'documents.update': [{ data: [], error: null }, { data: [{ id: 'doc-2' }], error: null }]
+  });
+
+  assert.equal(await DocumentModel.requeueStalledDocuments(), 1);
+
+  const updates = calls.filter(([, method]) => method === 'update');
+  assert.deepEqual(updates.map(([, , fields]) => fields.status), ['queued', 'failed']);
+
+  // Guarded by the same conditions and cutoff as the selection
+  const [, , , stalledBefore] = calls.find(([, method]) => method === 'lt');
+  const update = calls.findIndex(([, method]) => method === 'update');
+  assert.deepEqual(calls.slice(update + 1, update + 4), [
+    ['documents', 'eq', 'id', 'doc-1'],
+    ['documents', 'in', 'status', ['extracting', 'embedding']],
+    ['documents', 'lt', 'processing_started_at', stalledBefore]
+  ]);
+});
@@ -0,0 +1,71 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import documentController from '../Controllers/documentController.js';
+import DocumentModel from '../Models/DocumentModel.js';
+import { setScanner } from '../Utils/fileScanner.js';
+import { fakeResponse } from './helpers/fakes.js';
+
+const stageFiles = async (t, names) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'upload-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  return Promise.all(names.map(async (name, index) => {
+    const filePath = path.join(dir, `${index}-${name}`);
+    await fs.promises.writeFile(filePath, `Contents of ${name}`);
+    return { path: filePath, originalname: name, mimetype: 'text/plain', size: 20 };
+  }));
+};
+
+test('batch upload reports duplicates and removes every staged file', async (t) => {
+  setScanner(async () => ({ clean: true }));
+  t.after(() => setScanner(null));
+  t.mock.method(console, 'error', () => {});
+
+  const outcomes = {
+    'new.txt': { id: 'doc-1', status: 'pending', duplicate: null },
+    'same.txt': { id: 'doc-0', status: 'ready', duplicate: 'existing' }
+  };
+  t.mock.method(DocumentModel, 'uploadDocument', async (userId, file, filename) => {
+    if (!outcomes[filename]) throw new Error('storage unavailable');
+    return outcomes[filename];
+  });
+
+  const files = await stageFiles(t, ['new.txt', 'same.txt', 'broken.txt']);
+  const res = fakeResponse();
+
+  await documentController.uploadDocuments({ user: { id: 'user-1', status: 'pro' }, body: {}, files }, res);
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.body.message, '2 of 3 documents uploaded: 1 queued for processing, 1 already uploaded');
+  assert.deepEqual(res.body.data.results.map(result => (result.success ? result.duplicate : result.error)), [
+    null,
+    'existing',
+    'Failed to store document'
+  ]);
+  assert.equal(res.body.data.results[1].message, 'This document was already uploaded');
+
+  for (const file of files) {
+    assert.equal(fs.existsSync(file.path), false, `${file.originalname} is still staged`);
+  }
+});
+
+test('single upload removes the staged file when storing fails', async (t) => {
+  setScanner(async () => ({ clean: true }));
+  t.after(() => setScanner(null));
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(DocumentModel, 'uploadDocument', async () => {
+    throw new Error('storage unavailable');
+  });
+
+  const [file] = await stageFiles(t, ['notes.txt']);
+  const res = fakeResponse();
+
+  await documentController.uploadDocument({ user: { id: 'user-1', status: 'pro' }, body: {}, file }, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(fs.existsSync(file.path), false);
+});
@@ -0,0 +1,164 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+
+const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'inspection-test-'));
+process.env.QUARANTINE_DIR = path.join(workDir, 'quarantine');
+
+const { inspectUpload, quarantineFile } = await import('../Utils/fileInspection.js');
+const { setScanner } = await import('../Utils/fileScanner.js');
+const { getFileType } = await import('../Utils/fileTypes.js');
+
+// Stub scanner: flags files containing the EICAR marker, records what it saw
+const scanned = [];
+let scannerError = null;
+
+before(() => setScanner(async (filePath) => {
+  scanned.push(filePath);
+  if (scannerError) throw scannerError;
+  const content = await fs.promises.readFile(filePath, 'latin1');
+  return content.includes('EICAR-TEST') ? { clean: false, threat: 'Eicar-Test-Signature' } : { clean: true };
+}));
+
+after(async () => {
+  setScanner(null);
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+let fileCount = 0;
+const writeUpload = async (name, content) => {
+  const filePath = path.join(workDir, `${++fileCount}-${name}`);
+  await fs.promises.writeFile(filePath, content);
+  return filePath;
+};
+
+const inspect = async (name, content) => {
+  const filePath = await writeUpload(name, content);
+  const result = await inspectUpload(filePath, getFileType(name));
+  return { ...result, filePath };
+};
+
+const makeZip = async (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const pdfStream = (content) => {
+  const data = zlib.deflateSync(content);
+  return Buffer.concat([
+    Buffer.from(`3 0 obj << /Filter /FlateDecode /Length ${data.length} >>\nstream\n`),
+    data,
+    Buffer.from('\nendstream\nendobj\n')
+  ]);
+};
+
+const pdf = (...parts) => Buffer.concat([Buffer.from('%PDF-1.7\n'), ...parts.map(Buffer.from), Buffer.from('%%EOF\n')]);
+
+test('rejects files whose content is not the claimed type', async () => {
+  assert.equal((await inspect('report.pdf', 'just some text')).verdict, 'rejected');
+  assert.equal((await inspect('photo.png', '%PDF-1.7\n%%EOF')).verdict, 'rejected');
+  assert.equal((await inspect('letter.docx', await makeZip({ 'xl/workbook.xml': '<workbook/>' }))).verdict, 'rejected');
+});
+
+test('accepts files matching their type and scans them', async () => {
+  const result = await inspect('notes.txt', 'Plain notes');
+
+  assert.deepEqual({ verdict: result.verdict, removed: result.removed }, { verdict: 'clean', removed: [] });
+  assert.ok(scanned.includes(result.filePath));
+});
+
+test('strips scripts from HTML', async () => {
+  const result = await inspect('page.html', '<p onclick="steal()">Hi</p><script>steal()</script><a href="javascript:steal()">x</a>');
+
+  assert.equal(result.verdict, 'clean');
+  assert.deepEqual(result.removed, ['scripts']);
+  assert.equal(await fs.promises.readFile(result.filePath, 'utf8'), '<p >Hi</p><a href="#">x</a>');
+});
+
+test('removes macros from Office files', async () => {
+  const result = await inspect('letter.docx', await makeZip({
+    'word/document.xml': '<document/>',
+    'word/vbaProject.bin': 'macro'
+  }));
+
+  assert.equal(result.verdict, 'clean');
+  assert.deepEqual(result.removed, ['macros']);
+
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(result.filePath));
+  assert.equal(zip.file('word/vbaProject.bin'), null);
+  assert.ok(zip.file('word/document.xml'));
+});
+
+test('removes embedded objects from RTF', async () => {
+  const result = await inspect('memo.rtf', '{\\rtf1 Hello {\\object\\objemb{\\*\\objdata 0102}} world}');
+
+  assert.deepEqual(result.removed, ['embedded objects']);
+  assert.equal(await fs.promises.readFile(result.filePath, 'latin1'), '{\\rtf1 Hello  world}');
+});
+
+test('disables PDF scripts but keeps view-only open actions', async () => {
+  const result = await inspect('report.pdf', pdf(
+    '1 0 obj << /Type /Catalog /OpenAction [4 0 R /Fit] >> endobj\n',
+    '2 0 obj << /S /JavaScript /JS (app.alert(1)) >> endobj\n'
+  ));
+
+  assert.equal(result.verdict, 'clean');
+  assert.deepEqual(result.removed, ['JavaScript', 'JS']);
+
+  const cleaned = await fs.promises.readFile(result.filePath, 'latin1');
+  assert.match(cleaned, /\/OpenAction \[4 0 R \/Fit\]/);
+  assert.match(cleaned, /\/S \/javascript \/js/);
+});
+
+test('does not quarantine PDFs with open actions in compressed streams', async () => {
+  const result = await inspect('report.pdf', pdf(pdfStream('<< /Type /Catalog /OpenAction [4 0 R /XYZ 0 792 0] >>')));
+  assert.equal(result.verdict, 'clean');
+});
+
+test('quarantines PDFs with scripts hidden in compressed streams', async () => {
+  const result = await inspect('report.pdf', pdf(pdfStream('<< /S /JavaScript /JS (app.alert(1)) >>')));
+  assert.deepEqual(result, {
+    verdict: 'quarantined',
+    reason: 'PDF contains scripts or launch actions in compressed streams',
+    filePath: result.filePath
+  });
+});
+
+test('quarantines polyglots, macro documents and files the scanner flags', async () => {
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('<script>x</script>')]);
+  assert.equal((await inspect('photo.png', png)).reason, 'File is also readable as HTML');
+
+  const doc = Buffer.concat([
+    Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+    Buffer.from('Macros', 'utf16le')
+  ]);
+  assert.equal((await inspect('old.doc', doc)).reason, 'Document contains macros');
+
+  assert.equal((await inspect('notes.txt', 'EICAR-TEST')).reason, 'Malware detected: Eicar-Test-Signature');
+});
+
+test('quarantines files that cannot be scanned', async (t) => {
+  scannerError = new Error('scanner offline');
+  t.after(() => { scannerError = null; });
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal((await inspect('notes.txt', 'Plain notes')).reason, 'File could not be scanned');
+});
+
+test('quarantineFile moves the file next to a description', async () => {
+  const filePath = await writeUpload('bad.txt', 'EICAR-TEST');
+  const target = await quarantineFile(filePath, { reason: 'Malware detected', originalName: 'bad.txt' });
+
+  assert.equal(path.dirname(target), process.env.QUARANTINE_DIR);
+  assert.equal(fs.existsSync(filePath), false);
+  assert.equal(await fs.promises.readFile(target, 'utf8'), 'EICAR-TEST');
+
+  const details = JSON.parse(await fs.promises.readFile(`${target}.json`, 'utf8'));
+  assert.equal(details.reason, 'Malware detected');
+  assert.ok(details.quarantinedAt);
+});
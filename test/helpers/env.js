@@ -0,0 +1,7 @@
+// Placeholder configuration so modules creating API clients at import time
+// can be loaded. Tests never reach these services: calls are mocked.
+process.env.SUPABASE_URL ??= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+process.env.SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.OPENAI_API_KEY ??= 'test-openai-key';
+process.env.STRIPE_SECRET_KEY ??= 'sk_test_placeholder';
@@ -0,0 +1,76 @@
+// Stand-ins for the Express response and the Supabase query builder, so
+// controllers and models can be tested without a server or database.
+
+/**
+ * Express response that records its status, headers and body
+ */
+export const fakeResponse = () => ({
+  headers: {},
+  statusCode: 200,
+  body: null,
+  set(name, value) {
+    if (typeof name === 'object') Object.assign(this.headers, name);
+    else this.headers[name] = value;
+    return this;
+  },
+  setHeader(name, value) {
+    return this.set(name, value);
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+/**
+ * PostgREST query builder: every method returns the query, and awaiting it
+ * resolves to the result. Calls are recorded as [method, ...args], or
+ * [table, method, ...args] when a table is given.
+ * @param {Object|Function} result - The result, or a function of the
+ *   recorded calls returning it
+ * @param {Array} [calls] - Where to record the calls
+ * @param {string} [table]
+ */
+export const fakeQuery = (result, calls = [], table = null) => {
+  const query = new Proxy({}, {
+    get: (target, method) => method === 'then'
+      ? (resolve, reject) => Promise.resolve(typeof result === 'function' ? result(calls) : result).then(resolve, reject)
+      : (...args) => {
+        calls.push(table ? [table, method, ...args] : [method, ...args]);
+        return query;
+      }
+  });
+  return query;
+};
+
+/**
+ * Mock supabase.from with a result per table and first method, e.g.
+ * { 'workspace_members.upsert': { error } }, or a list of results for
+ * successive queries. Other queries resolve to { data: null, error: null }.
+ * @param {Object} t - The test context
+ * @param {Object} supabase - The client to mock
+ * @param {Object} [results]
+ * @returns {Array} The recorded calls, as [table, method, ...args]
+ */
+export const mockTables = (t, supabase, results = {}) => {
+  const calls = [];
+
+  t.mock.method(supabase, 'from', (table) => new Proxy({}, {
+    get: (target, method) => (...args) => {
+      calls.push([table, method, ...args]);
+
+      const result = results[`${table}.${method}`];
+      return fakeQuery((Array.isArray(result) ? result.shift() : result) ?? { data: null, error: null }, calls, table);
+    }
+  }));
+
+  return calls;
+};
@@ -0,0 +1,158 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import supabase from '../Utils/supabaseClient.js';
+import MfaModel from '../Models/MfaModel.js';
+import authRoutes from '../Routes/authRoutes.js';
+import stripeRoutes from '../Routes/stripeRoutes.js';
+import auditLogRoutes from '../Routes/auditLogRoutes.js';
+import { authenticate } from '../Middleware/authMiddleware.js';
+import { PERMISSIONS } from '../Utils/permissions.js';
+import { fakeQuery } from './helpers/fakes.js';
+
+// Every route guarded by each permission, mounted as in server.js
+const GUARDED_ROUTES = {
+  [PERMISSIONS.BILLING_READ]: [
+    ['GET', '/api/stripe/coupons'],
+    ['GET', '/api/stripe/coupons/all'],
+    ['GET', '/api/stripe/coupons/coupon-1/usage']
+  ],
+  [PERMISSIONS.BILLING_MANAGE]: [
+    ['POST', '/api/stripe/plans'],
+    ['DELETE', '/api/stripe/plans/plan-1'],
+    ['PATCH', '/api/stripe/plans/plan-1/status'],
+    ['PUT', '/api/stripe/plans/plan-1'],
+    ['POST', '/api/stripe/coupons'],
+    ['PATCH', '/api/stripe/coupons/coupon-1/status'],
+    ['DELETE', '/api/stripe/coupons/coupon-1']
+  ],
+  [PERMISSIONS.SUBSCRIPTIONS_READ]: [
+    ['GET', '/api/stripe/subscriptions/all']
+  ],
+  [PERMISSIONS.USERS_READ]: [
+    ['GET', '/api/auth/users'],
+    ['GET', '/api/auth/users/other-user/stats']
+  ],
+  [PERMISSIONS.USERS_MANAGE]: [
+    ['PATCH', '/api/auth/users/other-user/suspend'],
+    ['PATCH', '/api/auth/users/other-user/unsuspend']
+  ],
+  [PERMISSIONS.ROLES_MANAGE]: [
+    ['PATCH', '/api/auth/users/other-user/role']
+  ],
+  [PERMISSIONS.SECURITY_MANAGE]: [
+    ['GET', '/api/auth/mfa/enforcement'],
+    ['PUT', '/api/auth/mfa/enforcement']
+  ],
+  [PERMISSIONS.AUDIT_READ]: [
+    ['GET', '/api/audit-logs'],
+    ['GET', '/api/audit-logs/export']
+  ]
+};
+
+// Routes open to the user themselves, or to others with the permission
+const SELF_OR_PERMISSION_ROUTES = [
+  ['GET', '/api/auth/user/other-user'],
+  ['PUT', '/api/auth/user/other-user/username'],
+  ['DELETE', '/api/auth/delete/other-user'],
+  ['GET', '/api/auth/delete/other-user'],
+  ['POST', '/api/auth/delete/other-user/cancel']
+];
+
+const USERS = {
+  'user-token': { id: 'user-1', role: 'user' },
+  'admin-token': { id: 'admin-1', role: 'admin' }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/stripe', stripeRoutes);
+  app.use('/api/audit-logs', authenticate, auditLogRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Resolve tokens to USERS and load their profile without reaching Supabase.
+ * Tokens are not JWTs, so no session is looked up.
+ */
+const mockAuthentication = (t, { mfaEnrollmentRequired = false } = {}) => {
+  t.mock.method(supabase.auth, 'getUser', async (token) => {
+    const user = USERS[token];
+    return user
+      ? { data: { user: { id: user.id, email: `${user.id}@example.com` } }, error: null }
+      : { data: { user: null }, error: new Error('invalid token') };
+  });
+
+  t.mock.method(supabase, 'from', () => fakeQuery((calls) => {
+    const [, , userId] = calls.find(([method]) => method === 'eq');
+    const user = Object.values(USERS).find(candidate => candidate.id === userId);
+    const profile = { email: `${user.id}@example.com`, username: user.id, status: 'free', role: user.role, suspended_at: null };
+    return { data: profile, error: null };
+  }));
+
+  t.mock.method(MfaModel, 'isEnrollmentRequired', async () => mfaEnrollmentRequired);
+};
+
+const request = async ([method, path], token) => {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: method === 'GET' ? undefined : '{}'
+  });
+
+  return { status: response.status, body: await response.json() };
+};
+
+test('every permission is covered by guarded routes', () => {
+  assert.deepEqual(Object.keys(GUARDED_ROUTES).sort(), Object.values(PERMISSIONS).sort());
+});
+
+for (const [permission, routes] of Object.entries(GUARDED_ROUTES)) {
+  for (const route of routes) {
+    test(`${route.join(' ')} (${permission}) responds 401 without a token`, async (t) => {
+      mockAuthentication(t);
+
+      assert.equal((await request(route)).status, 401);
+      assert.equal((await request(route, 'expired-token')).status, 401);
+    });
+
+    test(`${route.join(' ')} (${permission}) responds 403 to users without the permission`, async (t) => {
+      mockAuthentication(t);
+
+      const { status, body } = await request(route, 'user-token');
+      assert.equal(status, 403);
+      assert.equal(body.message, 'You do not have permission to perform this action');
+    });
+
+    test(`${route.join(' ')} (${permission}) responds 403 to admins who have not enrolled in required 2FA`, async (t) => {
+      mockAuthentication(t, { mfaEnrollmentRequired: true });
+
+      const { status, body } = await request(route, 'admin-token');
+      assert.equal(status, 403);
+      assert.match(body.message, /Two-factor authentication is required/);
+    });
+  }
+}
+
+test('routes on other users respond 401 without a token and 403 without the permission', async (t) => {
+  mockAuthentication(t);
+
+  for (const route of SELF_OR_PERMISSION_ROUTES) {
+    assert.equal((await request(route)).status, 401, route.join(' '));
+    assert.equal((await request(route, 'user-token')).status, 403, route.join(' '));
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateLimit, createMemoryStore } from '../Middleware/rateLimiter.js';
+import { fakeResponse } from './helpers/fakes.js';
+
+const createLimiter = () => rateLimit({
+  name: 'test',
+  windowMs: 60 * 1000,
+  limits: { free: 2, pro: 5 },
+  store: createMemoryStore()
+});
+
+test('middleware responds 429 once the limit of the plan is exceeded', async () => {
+  const limiter = createLimiter();
+  const req = { user: { id: 'user-1', status: 'free' } };
+  let passed = 0;
+
+  for (let i = 0; i < 3; i++) {
+    const res = fakeResponse();
+    await limiter(req, res, () => passed++);
+    if (i === 2) {
+      assert.equal(res.statusCode, 429);
+      assert.ok(res.headers['Retry-After']);
+    }
+  }
+
+  assert.equal(passed, 2);
+});
+
+test('consume charges one hit per call and shares the counter with the middleware', async () => {
+  const limiter = createLimiter();
+  const req = { user: { id: 'user-1', status: 'free' } };
+  const res = fakeResponse();
+
+  await limiter(req, fakeResponse(), () => {});
+  assert.equal((await limiter.consume(req, res)).allowed, true);
+  assert.equal(res.headers['RateLimit-Remaining'], '0');
+
+  const blocked = await limiter.consume(req, res);
+  assert.equal(blocked.allowed, false);
+});
+
+test('consume allows callers without a configured limit', async () => {
+  const limiter = createLimiter();
+  assert.deepEqual(await limiter.consume({ ip: '127.0.0.1' }, fakeResponse()), { allowed: true });
+});
+
+test('requireRemaining refuses callers with no hits left without charging one', async () => {
+  const limiter = createLimiter();
+  const req = { user: { id: 'user-1', status: 'free' } };
+  let passed = 0;
+
+  await limiter.requireRemaining(req, fakeResponse(), () => passed++);
+  await limiter.consume(req, fakeResponse());
+  await limiter.requireRemaining(req, fakeResponse(), () => passed++);
+  assert.equal(passed, 2);
+
+  // The checks did not count, so the second hit is still allowed
+  assert.equal((await limiter.consume(req, fakeResponse())).allowed, true);
+
+  const res = fakeResponse();
+  await limiter.requireRemaining(req, res, () => passed++);
+  assert.equal(passed, 2);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['RateLimit-Remaining'], '0');
+  assert.ok(res.headers['Retry-After']);
+});
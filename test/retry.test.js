@@ -0,0 +1,76 @@
+import './helpers/env.js';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from '../Utils/retry.js';
+import supabase from '../Utils/supabaseClient.js';
+import { getEmbedder } from '../Utils/embeddings.js';
+import DocumentModel from '../Models/DocumentModel.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapWithConcurrency returns results in order', async () => {
+  const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+    await sleep(ms);
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2]);
+});
+
+test('mapWithConcurrency rejects only after calls in flight have settled', async () => {
+  const finished = [];
+
+  await assert.rejects(
+    mapWithConcurrency(['fails', 'slow', 'never started'], 2, async (item) => {
+      if (item === 'fails') throw new Error('batch failed');
+      await sleep(50);
+      finished.push(item);
+    }),
+    /batch failed/
+  );
+
+  // The slow call completed before the rejection, and no new work started
+  assert.deepEqual(finished, ['slow']);
+});
+
+test('createEmbeddings cleans up after batches still in flight when one fails', async (t) => {
+  const embedder = getEmbedder();
+  const stored = [];
+  let deletedAt = null;
+
+  t.mock.method(embedder, 'embedDocuments', async (texts) => {
+    if (texts.some(text => text.includes('Second'))) throw new Error('embedding failed');
+    await sleep(50);
+    return texts.map(() => [0.1, 0.2]);
+  });
+
+  t.mock.method(supabase, 'from', () => ({
+    insert: async (rows) => {
+      stored.push(...rows);
+      return { error: null };
+    },
+    delete: () => ({
+      eq: async () => {
+        deletedAt = stored.length;
+        stored.length = 0;
+        return { error: null };
+      }
+    })
+  }));
+  t.mock.method(console, 'error', () => {});
+
+  // Two chunks of a few hundred tokens, and one chunk per batch
+  const text = [`First ${'word '.repeat(300)}`, `Second ${'word '.repeat(300)}`].join('\n\n');
+  const previousBatchSize = embedder.batchSize;
+  embedder.batchSize = 1;
+  t.after(() => { embedder.batchSize = previousBatchSize; });
+
+  await assert.rejects(
+    DocumentModel.createEmbeddings('document-id', text),
+    /embedding failed/
+  );
+
+  // The first batch was inserted before the cleanup ran, not after it
+  assert.equal(deletedAt, 1);
+  assert.deepEqual(stored, []);
+});
@@ -0,0 +1,115 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAI } from 'openai';
+import SummaryModel from '../Models/SummaryModel.js';
+import supabase from '../Utils/supabaseClient.js';
+import { countTokens } from '../Utils/chunker.js';
+
+/**
+ * Answer chat completions with the given function of the request
+ */
+const mockCompletions = (t, answer) => t.mock.method(OpenAI.Chat.Completions.prototype, 'create', async (request) => ({
+  choices: [{ finish_reason: 'stop', message: { content: answer(request) } }]
+}));
+
+test('a new summary is stored under its own key only', async (t) => {
+  mockCompletions(t, () => 'A short summary.');
+  const rpc = t.mock.method(supabase, 'rpc', async () => ({ data: null, error: null }));
+  const from = t.mock.method(supabase, 'from', () => {
+    throw new Error('summaries must not be written as a whole');
+  });
+
+  const document = {
+    id: 'doc-1',
+    filename: 'report.txt',
+    content: 'The report covers the third quarter.',
+    summaries: { 'short:abstract:': { summary: 'Older summary', generatedAt: '2026-01-01T00:00:00.000Z' } }
+  };
+
+  const result = await SummaryModel.summarizeDocument(document, { length: 'short', style: 'bullet_points' });
+
+  assert.equal(result.summary, 'A short summary.');
+  assert.equal(result.cached, false);
+  assert.equal(from.mock.callCount(), 0);
+
+  const [name, params] = rpc.mock.calls[0].arguments;
+  assert.equal(name, 'set_document_summary');
+  assert.equal(params.document_id, 'doc-1');
+  assert.equal(params.summary_key, 'short:bullet_points:');
+  assert.equal(params.summary.summary, 'A short summary.');
+});
+
+test('a reply cut off at the token limit is requested again with more room', async (t) => {
+  t.mock.method(supabase, 'rpc', async () => ({ data: null, error: null }));
+  const create = t.mock.method(OpenAI.Chat.Completions.prototype, 'create', async (request) => ({
+    choices: [request.max_tokens === 800
+      ? { finish_reason: 'length', message: { content: 'A summary that stops mid' } }
+      : { finish_reason: 'stop', message: { content: 'A complete summary.' } }]
+  }));
+
+  const result = await SummaryModel.summarizeDocument(
+    { id: 'doc-1', filename: 'report.txt', content: 'Short text.', summaries: null },
+    { length: 'medium', style: 'abstract' }
+  );
+
+  assert.equal(result.summary, 'A complete summary.');
+  assert.deepEqual(create.mock.calls.map(call => call.arguments[0].max_tokens), [800, 1600]);
+});
+
+test('a reply that never fits fails clearly instead of being parsed', async (t) => {
+  const rpc = t.mock.method(supabase, 'rpc', async () => ({ data: null, error: null }));
+  const from = t.mock.method(supabase, 'from', () => ({}));
+  t.mock.method(OpenAI.Chat.Completions.prototype, 'create', async () => ({
+    choices: [{ finish_reason: 'length', message: { content: '{"outline": [' } }]
+  }));
+
+  await assert.rejects(
+    SummaryModel.extractInsights({ id: 'doc-1', content: 'Short text.', insights: null }),
+    /did not fit in 6000 tokens/
+  );
+  assert.equal(rpc.mock.callCount(), 0);
+  assert.equal(from.mock.callCount(), 0);
+});
+
+test('insights of a long document are merged in groups that fit in a prompt', async (t) => {
+  t.mock.method(supabase, 'from', () => ({
+    update: () => ({ eq: async () => ({ error: null }) })
+  }));
+
+  // Every partial and merged result is large, so they cannot all be merged at once
+  const keyPoints = (label) => Array.from({ length: 450 }, (_, index) => `${label} point ${index}`);
+  const mergeInputs = [];
+  let merges = 0;
+
+  mockCompletions(t, (request) => {
+    const [system, user] = request.messages.map(message => message.content);
+
+    if (system.includes('Merge them')) {
+      mergeInputs.push(user);
+      return JSON.stringify({ keyPoints: keyPoints(`Merged ${merges++}`) });
+    }
+
+    return JSON.stringify({ keyPoints: keyPoints(user.match(/part (\d+)/)[1]) });
+  });
+
+  const content = Array.from({ length: 5000 }, (_, index) => `Sentence number ${index} of the report.`).join(' ');
+  const insights = await SummaryModel.extractInsights({ id: 'doc-1', content, insights: null });
+
+  assert.equal(insights.cached, false);
+  assert.ok(insights.keyPoints[0].startsWith('Merged'));
+  assert.ok(mergeInputs.length > 1);
+  for (const input of mergeInputs) {
+    assert.ok(countTokens(input) <= 12000, `merge prompt of ${countTokens(input)} tokens`);
+  }
+});
+
+test('results are fresh when generated after processing, whatever the timestamp format', () => {
+  // As returned by Postgres: with an offset and microseconds
+  const document = { processed_at: '2026-10-19T14:00:00.123456+02:00' };
+
+  assert.equal(SummaryModel.isFresh(document, { generatedAt: '2026-10-19T12:00:00.200Z' }), true);
+  assert.equal(SummaryModel.isFresh(document, { generatedAt: '2026-10-19T11:59:59.000Z' }), false);
+  assert.equal(SummaryModel.isFresh({ processed_at: null }, { generatedAt: '2026-10-19T12:00:00.000Z' }), true);
+  assert.equal(SummaryModel.isFresh(document, null), false);
+});
@@ -0,0 +1,71 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import DocumentModel from '../Models/DocumentModel.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'word');
+
+const DOC = 'application/msword';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Each sample with text that must (and must not) come out of it
+const CORPUS = [
+  {
+    file: 'word97.doc',
+    mimetype: DOC,
+    includes: ['This is a simple file created with Word 97-SR2.']
+  },
+  {
+    file: 'headers-footers.doc',
+    mimetype: DOC,
+    includes: [
+      'This is a fairly simple word document, over two pages, with headers and footers.',
+      '[Headers]\nThis is a simple header, with a € euro symbol in it.',
+      '[Footers]\nThe footer, with Molière, has Unicode in it.'
+    ]
+  },
+  {
+    file: 'footnotes.doc',
+    mimetype: DOC,
+    includes: ['Research Governance Checklist', '[Footnotes]\nEOI - Refers to Expression of Interest'],
+    excludes: ['[Endnotes]']
+  },
+  {
+    file: 'chinese.doc',
+    mimetype: DOC,
+    includes: ['这是一个用来测试nodejs解析Word文档', 'This is a test for parsing the Word file in node.']
+  },
+  {
+    file: 'saved-as-doc.doc',
+    mimetype: DOC,
+    includes: ['Walking on imported air']
+  },
+  {
+    file: 'single-paragraph.docx',
+    mimetype: DOCX,
+    includes: ['Walking on imported air']
+  },
+  {
+    file: 'tables.docx',
+    mimetype: DOCX,
+    includes: ['Above', 'Top left', 'Bottom right', 'Below']
+  }
+];
+
+for (const { file, mimetype, includes, excludes = [] } of CORPUS) {
+  test(`extracts the text of ${file}`, async (t) => {
+    t.mock.method(console, 'log', () => {});
+
+    const filePath = path.join(FIXTURES, file);
+    const documents = await DocumentModel.getLoaderByMimeType(filePath, mimetype).load();
+
+    assert.equal(documents.length, 1);
+    assert.equal(documents[0].metadata.source, filePath);
+
+    const text = documents[0].pageContent;
+    for (const expected of includes) assert.ok(text.includes(expected), `missing ${JSON.stringify(expected)}`);
+    for (const unexpected of excludes) assert.ok(!text.includes(unexpected), `unexpected ${JSON.stringify(unexpected)}`);
+  });
+}
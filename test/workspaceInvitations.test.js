@@ -0,0 +1,56 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WorkspaceModel from '../Models/WorkspaceModel.js';
+import supabase from '../Utils/supabaseClient.js';
+import { mockTables } from './helpers/fakes.js';
+
+const invitation = { id: 'invite-1', workspace_id: 'workspace-1', role: 'editor' };
+const user = { id: 'user-1', email: 'Member@example.com' };
+
+test('accepting an invitation keeps the role of an existing member, then marks it accepted', async (t) => {
+  const calls = mockTables(t, supabase, { 'workspace_invitations.select': { data: invitation, error: null } });
+  t.mock.method(WorkspaceModel, 'getWorkspace', async () => ({ id: 'workspace-1' }));
+
+  const workspace = await WorkspaceModel.acceptInvitation('invite-1', user);
+  assert.deepEqual(workspace, { id: 'workspace-1' });
+
+  const writes = calls.filter(([, method]) => ['upsert', 'update'].includes(method));
+  assert.deepEqual(writes.map(([table, method]) => `${table}.${method}`), [
+    'workspace_members.upsert',
+    'workspace_invitations.update'
+  ]);
+  assert.deepEqual(writes[0][3], { onConflict: 'workspace_id,user_id', ignoreDuplicates: true });
+});
+
+test('an invitation stays pending when the membership cannot be created', async (t) => {
+  const calls = mockTables(t, supabase, {
+    'workspace_invitations.select': { data: invitation, error: null },
+    'workspace_members.upsert': { data: null, error: new Error('insert failed') }
+  });
+
+  await assert.rejects(WorkspaceModel.acceptInvitation('invite-1', user), /insert failed/);
+  assert.equal(calls.some(([table, method]) => table === 'workspace_invitations' && method === 'update'), false);
+});
+
+test('the invitation is removed when the invite email cannot be sent', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const calls = mockTables(t, supabase, {
+    'workspaces.select': { data: { id: 'workspace-1', name: 'Research' }, error: null },
+    'profiles.select': { data: null, error: null },
+    'workspace_invitations.insert': { data: invitation, error: null }
+  });
+  t.mock.method(supabase.auth.admin, 'inviteUserByEmail', async () => ({
+    data: null,
+    error: new Error('email provider unavailable')
+  }));
+
+  await assert.rejects(
+    WorkspaceModel.inviteMember('workspace-1', { id: 'owner-1', email: 'owner@example.com' }, { email: 'new@example.com', role: 'viewer' }),
+    /email provider unavailable/
+  );
+
+  const deleted = calls.findIndex(([table, method]) => table === 'workspace_invitations' && method === 'delete');
+  assert.notEqual(deleted, -1);
+  assert.deepEqual(calls[deleted + 1], ['workspace_invitations', 'eq', 'id', 'invite-1']);
+});
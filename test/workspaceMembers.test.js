@@ -0,0 +1,80 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WorkspaceModel from '../Models/WorkspaceModel.js';
+import ChatModel from '../Models/ChatModel.js';
+import AuthModel from '../Models/AuthModel.js';
+import StripeModel from '../Models/StripeModel.js';
+import supabase from '../Utils/supabaseClient.js';
+import { mockTables } from './helpers/fakes.js';
+
+test('removing a member deletes all their workspace chats, messages first', async (t) => {
+  t.mock.method(WorkspaceModel, 'getMemberRole', async () => 'editor');
+  const calls = mockTables(t, supabase, {
+    'chats.select': { data: [{ id: 'chat-1' }, { id: 'chat-2' }], error: null }
+  });
+
+  assert.equal(await WorkspaceModel.removeMember('workspace-1', 'user-1'), true);
+
+  const chatFilters = calls.filter(([table, method]) => table === 'chats' && method === 'eq');
+  assert.ok(!chatFilters.some(([, , column]) => column === 'visibility'));
+
+  // The first filter of each delete
+  const deletes = calls.flatMap((call, index) => (call[1] === 'delete' ? [calls[index + 1]] : []));
+  assert.deepEqual(deletes, [
+    ['chat_messages', 'in', 'chat_id', ['chat-1', 'chat-2']],
+    ['chats', 'in', 'id', ['chat-1', 'chat-2']],
+    ['workspace_members', 'eq', 'workspace_id', 'workspace-1']
+  ]);
+});
+
+test('a former member cannot open their own workspace chats', async (t) => {
+  const hasRole = t.mock.method(WorkspaceModel, 'hasRole', async () => false);
+
+  const chat = { user_id: 'user-1', workspace_id: 'workspace-1', visibility: 'shared' };
+  assert.equal(await ChatModel.canAccessChat(chat, 'user-1'), false);
+  assert.deepEqual(hasRole.mock.calls[0].arguments, ['workspace-1', 'user-1', 'viewer']);
+});
+
+test('private workspace chats stay closed to other members', async (t) => {
+  t.mock.method(WorkspaceModel, 'hasRole', async () => true);
+
+  const chat = { user_id: 'user-1', workspace_id: 'workspace-1', visibility: 'private' };
+  assert.equal(await ChatModel.canAccessChat(chat, 'user-2'), false);
+  assert.equal(await ChatModel.canAccessChat(chat, 'user-1'), true);
+  assert.equal(await ChatModel.canAccessChat({ user_id: 'user-1', workspace_id: null }, 'user-1'), true);
+});
+
+test('documents left behind in a former workspace are handed to its owner', async (t) => {
+  const calls = mockTables(t, supabase, {
+    // Memberships of the user (none), then the members of workspace-1
+    'workspace_members.select': [
+      { data: [], error: null },
+      { data: [{ user_id: 'owner-1', role: 'owner' }], error: null }
+    ],
+    'documents.select': { data: [{ workspace_id: 'workspace-1' }], error: null }
+  });
+
+  assert.deepEqual(await WorkspaceModel.handOverUserWorkspaces('user-1'), []);
+
+  const handOver = calls.findIndex(([table, method]) => table === 'documents' && method === 'update');
+  assert.deepEqual(calls[handOver], ['documents', 'update', { user_id: 'owner-1' }]);
+  assert.deepEqual(calls[handOver + 1], ['documents', 'eq', 'workspace_id', 'workspace-1']);
+});
+
+test('deleting an account removes only personal documents and abandoned workspaces', async (t) => {
+  t.mock.method(StripeModel, 'cancelUserBilling', async () => ({}));
+  t.mock.method(WorkspaceModel, 'handOverUserWorkspaces', async () => ['workspace-9']);
+  t.mock.method(WorkspaceModel, 'deleteWorkspace', async () => {});
+  t.mock.method(supabase.auth.admin, 'deleteUser', async () => ({ error: null }));
+  const calls = mockTables(t, supabase, {
+    'documents.select': { data: [], error: null },
+    'chats.select': { data: [], error: null },
+    'data_exports.select': { data: [], error: null }
+  });
+
+  await AuthModel.deleteAccount('user-1');
+
+  const documentFilter = calls.find(([table, method]) => table === 'documents' && method === 'or');
+  assert.deepEqual(documentFilter, ['documents', 'or', 'and(user_id.eq.user-1,workspace_id.is.null),workspace_id.in.(workspace-9)']);
+});